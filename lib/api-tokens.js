@@ -0,0 +1,63 @@
+const crypto = require('crypto');
+const { hashToken } = require('./passwords');
+
+// ===== API TOKENS =====
+// Personal tokens for scripts (e.g. uploading sermons from the recording
+// booth). Send one as "Authorization: Bearer ccw_..." to the same routes the
+// admin panel uses; those requests answer with JSON instead of redirects.
+//
+// A token acts as the user who created it, limited to its scopes: it can only
+// do what both the user's role and the token allow. Only the SHA-256 of the
+// token is stored, so it is shown once when created.
+//
+// Tokens are kept in MongoDB only: they aren't in the sync journal, so
+// while the server is running on local storage /admin-tokens refuses to
+// create or revoke one (the change would be lost, or undone, on reconnect)
+// and requests made with a token are answered with a 503.
+
+const TOKEN_PREFIX = 'ccw_';
+
+// Scope -> the permission it unlocks (see lib/permissions.js)
+const SCOPES = {
+    'messages:write': { permission: 'messages', label: 'Upload, edit and delete sermons, series and preachers' },
+    'events:write': { permission: 'events', label: 'Create, edit and delete events' },
+    'announcements:write': { permission: 'announcements', label: 'Create, edit and delete announcements' }
+};
+
+// Expiry choices on the token form, in days (0 = never)
+const EXPIRY_DAYS = [30, 90, 365, 0];
+
+// A new token, its hash (what gets stored) and a short preview so users can
+// tell their tokens apart
+function createApiToken() {
+    const token = TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+    return {
+        token: token,
+        tokenHash: hashToken(token),
+        preview: token.slice(0, TOKEN_PREFIX.length + 6)
+    };
+}
+
+// The token from an "Authorization: Bearer <token>" header, if any
+function bearerToken(req) {
+    const match = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+    return match ? match[1] : null;
+}
+
+function tokenAllows(apiToken, permission) {
+    return (apiToken.scopes || []).some(scope => SCOPES[scope] && SCOPES[scope].permission === permission);
+}
+
+function isActive(apiToken, now = new Date()) {
+    if (apiToken.revokedAt) return false;
+    return !apiToken.expiresAt || new Date(apiToken.expiresAt) > now;
+}
+
+module.exports = {
+    SCOPES,
+    EXPIRY_DAYS,
+    createApiToken,
+    bearerToken,
+    tokenAllows,
+    isActive
+};
@@ -0,0 +1,176 @@
+// ===== AUDIT LOG =====
+// Every admin action is saved to the `audit` repository: who did it, from
+// which IP, what it was done to, and which fields changed. Routes call
+//   audit.record(req, { action: 'message.update', targetType: 'message', before, after })
+// after the change has been made. A failure to write the entry is logged but
+// never fails the action itself.
+
+// Actions shown in the audit viewer's filter, in display order
+const ACTIONS = {
+    'message.create': 'Sermon uploaded',
+    'message.update': 'Sermon edited',
+    'message.delete': 'Sermon deleted',
+    'message.feature': 'Sermon featured',
+    'message.unfeature': 'Sermon unfeatured',
+    'message.import': 'Sermons imported from a ZIP',
+    'series.create': 'Series created',
+    'series.update': 'Series edited',
+    'series.reorder': 'Series parts reordered',
+    'series.delete': 'Series deleted',
+    'preacher.create': 'Preacher added',
+    'preacher.update': 'Preacher edited',
+    'preacher.merge': 'Author names merged into preacher',
+    'preacher.delete': 'Preacher deleted',
+    'event.create': 'Event created',
+    'event.update': 'Event edited',
+    'event.delete': 'Event deleted',
+    'event.unfeature': 'Event unfeatured',
+    'announcement.create': 'Announcement created',
+    'announcement.update': 'Announcement edited',
+    'announcement.delete': 'Announcement deleted',
+    'announcement.toggle': 'Announcement shown/hidden',
+    'user.invite': 'User invited',
+    'user.reinvite': 'Invite renewed',
+    'user.accept-invite': 'Invite accepted',
+    'user.role': 'Role changed',
+    'user.disable': 'User disabled',
+    'user.enable': 'User enabled',
+    'user.delete': 'User removed',
+    'user.reset-2fa': 'Two-factor reset',
+    'auth.login': 'Logged in',
+    'auth.logout': 'Logged out',
+    'auth.2fa-enable': 'Two-factor turned on',
+    'auth.2fa-disable': 'Two-factor turned off',
+    'auth.recovery-codes': 'Recovery codes replaced',
+    'auth.recovery-code-used': 'Recovery code used',
+    'setting.require-2fa': 'Two-factor requirement changed',
+    'setting.podcast': 'Podcast settings changed',
+    'lockout.lift': 'Lockout lifted',
+    'token.create': 'API token created',
+    'token.revoke': 'API token revoked',
+    'sync.run': 'Sync run',
+    'sync.force': 'Offline record imported',
+    'sync.discard': 'Offline record discarded'
+};
+
+const TARGET_TYPES = ['message', 'series', 'preacher', 'event', 'announcement', 'user', 'lockout', 'setting', 'token', 'sync'];
+
+// Bookkeeping, secrets and derived data (PDF text) never show up in diffs
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt', 'passwordHash', 'invite', 'twoFactor', 'pdfText'];
+const MAX_VALUE_LENGTH = 300;
+
+function toPlain(record) {
+    if (!record) return {};
+    return record.toObject ? record.toObject() : record;
+}
+
+function isFile(value) {
+    return 'filename' in value && ('contentType' in value || 'blobKey' in value);
+}
+
+// A short string for a field value, as stored in the audit entry
+function displayValue(value) {
+    if (value === undefined || value === null) return '';
+    if (value instanceof Date) return value.toISOString();
+    if (typeof value === 'object') {
+        if (value.toHexString) return String(value); // ObjectId
+        if (isFile(value)) return `${value.filename || 'file'} (${value.size || 0} bytes)`;
+        value = JSON.stringify(value);
+    }
+    const text = String(value);
+    return text.length > MAX_VALUE_LENGTH ? text.slice(0, MAX_VALUE_LENGTH) + '…' : text;
+}
+
+// Fields that differ between two versions of a record. Pass null for
+// `before` on create and for `after` on delete.
+function diffRecords(before, after) {
+    const a = toPlain(before);
+    const b = toPlain(after);
+    const fields = [...new Set([...Object.keys(a), ...Object.keys(b)])]
+        .filter(field => !IGNORED_FIELDS.includes(field));
+
+    const changes = [];
+    for (const field of fields) {
+        const from = displayValue(a[field]);
+        const to = displayValue(b[field]);
+        if (from !== to) {
+            changes.push({ field: field, before: from, after: to });
+        }
+    }
+    return changes;
+}
+
+function titleOf(record) {
+    if (!record) return '';
+    return record.title || record.username || record.name || record.key || '';
+}
+
+class AuditLog {
+    constructor(repositories) {
+        this.repositories = repositories;
+    }
+
+    // `actor` defaults to the logged-in user (req.user); `target` names the
+    // record when there is no before/after to diff
+    async record(req, { action, targetType, target, before, after, changes, actor }) {
+        const user = actor || req.user;
+        const subject = toPlain(target || after || before);
+        try {
+            await this.repositories.audit.create({
+                actor: user ? user.username : '',
+                actorId: user ? String(user._id) : '',
+                action: action,
+                targetType: targetType || '',
+                targetId: subject._id !== undefined ? String(subject._id) : '',
+                targetTitle: titleOf(subject),
+                changes: changes || diffRecords(before, after),
+                ip: req.ip || '',
+                apiToken: req.apiToken ? req.apiToken.preview : ''
+            });
+        } catch (err) {
+            console.log('⚠️ Could not write audit entry for', action + ':', err.message);
+        }
+    }
+}
+
+// ===== CSV EXPORT =====
+const CSV_COLUMNS = ['Time', 'User', 'Action', 'Target Type', 'Target ID', 'Target', 'Changes', 'IP', 'API Token'];
+
+function csvCell(value) {
+    let text = String(value === undefined || value === null ? '' : value);
+    // Stop spreadsheet apps from running cells as formulas
+    if (/^[=+\-@\t\r]/.test(text)) {
+        text = "'" + text;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function describeChanges(changes) {
+    return (changes || [])
+        .map(change => `${change.field}: ${change.before || '(empty)'} -> ${change.after || '(empty)'}`)
+        .join('; ');
+}
+
+function toCsv(entries) {
+    const rows = entries.map(entry => [
+        new Date(entry.createdAt).toISOString(),
+        entry.actor,
+        entry.action,
+        entry.targetType,
+        entry.targetId,
+        entry.targetTitle,
+        describeChanges(entry.changes),
+        entry.ip,
+        entry.apiToken
+    ]);
+    return [CSV_COLUMNS, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    ACTIONS,
+    TARGET_TYPES,
+    AuditLog,
+    diffRecords,
+    describeChanges,
+    toCsv
+};
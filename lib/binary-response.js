@@ -0,0 +1,82 @@
+const crypto = require('crypto');
+
+// ===== BINARY RESPONSES =====
+// Sends a file described by a repository's openBinary() with:
+//   - strong ETag and Last-Modified validators
+//   - 304 Not Modified for If-None-Match / If-Modified-Since (via req.fresh)
+//   - single byte-range requests (206 / 416), honouring If-Range
+// so pdf.js can fetch large PDFs in pages and browsers can cache images.
+
+function etagFor(file) {
+    const hash = crypto.createHash('sha1').update(`${file.version}:${file.size}`).digest('base64url');
+    return `"${hash}"`;
+}
+
+// If-Range holds either an ETag (must match exactly) or an HTTP date
+function ifRangeMatches(req, etag, lastModified) {
+    const ifRange = req.headers['if-range'];
+    if (!ifRange) return true;
+
+    if (ifRange.startsWith('"') || ifRange.startsWith('W/')) {
+        return ifRange === etag;
+    }
+    const since = Date.parse(ifRange);
+    return !isNaN(since) && lastModified && lastModified.getTime() <= since;
+}
+
+async function sendBinary(req, res, file, options = {}) {
+    const etag = etagFor(file);
+    const lastModified = file.uploadedAt ? new Date(file.uploadedAt) : null;
+
+    res.setHeader('Content-Type', file.contentType);
+    res.setHeader('Accept-Ranges', 'bytes');
+    res.setHeader('ETag', etag);
+    res.setHeader('Cache-Control', options.cacheControl || 'public, max-age=0, must-revalidate');
+    if (lastModified) {
+        res.setHeader('Last-Modified', lastModified.toUTCString());
+    }
+    if (options.disposition) {
+        res.setHeader('Content-Disposition', `${options.disposition}; filename="${file.filename}"`);
+    }
+
+    if (req.fresh) {
+        return res.status(304).end();
+    }
+
+    let range;
+    if (req.headers.range && ifRangeMatches(req, etag, lastModified)) {
+        const ranges = req.range(file.size, { combine: true });
+
+        if (ranges === -1) {
+            res.setHeader('Content-Range', `bytes */${file.size}`);
+            return res.status(416).end();
+        }
+        // Malformed or multi-range requests get the whole file
+        if (ranges !== -2 && ranges.type === 'bytes' && ranges.length === 1) {
+            range = ranges[0];
+        }
+    }
+
+    if (range) {
+        res.status(206);
+        res.setHeader('Content-Range', `bytes ${range.start}-${range.end}/${file.size}`);
+        res.setHeader('Content-Length', range.end - range.start + 1);
+    } else {
+        res.setHeader('Content-Length', file.size);
+    }
+
+    if (req.method === 'HEAD' || file.size === 0) {
+        return res.end();
+    }
+
+    const stream = await file.createReadStream(range);
+    stream.on('error', err => {
+        console.log('File stream error:', err.message);
+        res.destroy(err);
+    });
+    stream.pipe(res);
+}
+
+module.exports = {
+    sendBinary
+};
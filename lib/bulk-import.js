@@ -0,0 +1,312 @@
+const path = require('path');
+const { readZip } = require('./zip');
+
+// ===== BULK IMPORT =====
+// Reads a ZIP of sermon PDFs together with a manifest - a .csv or .json file
+// with one row per message - and checks every row before anything is saved,
+// so an import creates either all of its messages or none of them.
+//
+// Manifest columns (the CSV header row, or the keys of each JSON object;
+// case, spaces and underscores don't matter):
+//   title, code, date, author, description   required, as on the upload form
+//   filename                                 the row's PDF in the ZIP - its path,
+//                                            or just its name when that's unique;
+//                                            blank for a message without a PDF
+// Dates are YYYY-MM-DD. A JSON manifest is an array of objects, or an object
+// with them under "messages".
+//
+// Checking looks only at the ZIP's directory and the first bytes of each PDF;
+// a PDF is unzipped (row.pdf.read()) when its message is created, one at a
+// time, so memory use doesn't grow with the size of the import.
+
+const REQUIRED_FIELDS = ['title', 'code', 'date', 'author', 'description'];
+const MANIFEST_FIELDS = [...REQUIRED_FIELDS, 'filename'];
+const FIELD_LABELS = {
+    title: 'Title',
+    code: 'Code',
+    date: 'Date',
+    author: 'Author',
+    description: 'Description',
+    filename: 'Filename'
+};
+
+const MAX_ROWS = 500;
+const MAX_FIELD_LENGTH = 5000;
+const MAX_TOTAL_SIZE = 1024 * 1024 * 1024; // all files unzipped, 1GB
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+// ===== MANIFEST =====
+
+// Rows of a CSV file as arrays of strings. Handles quoted fields with commas,
+// doubled quotes and line breaks in them, CRLF line ends and a leading BOM.
+function parseCsv(text) {
+    text = String(text).replace(/^\uFEFF/, '');
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+    // Blank lines (often at the end) aren't rows
+    return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+// "File Name" / "file_name" -> "filename"
+function fieldFor(key) {
+    const normalized = String(key).toLowerCase().replace(/[\s_-]+/g, '');
+    return MANIFEST_FIELDS.includes(normalized) ? normalized : null;
+}
+
+// { rows: [{ line, values }] } from a CSV manifest, or { error }. `line` is
+// the row's number in a spreadsheet (the header is row 1).
+function rowsFromCsv(text) {
+    const [header, ...records] = parseCsv(text);
+    if (!header) {
+        return { error: 'The manifest is empty' };
+    }
+
+    const fields = header.map(fieldFor);
+    const missing = REQUIRED_FIELDS.filter(field => !fields.includes(field));
+    if (missing.length) {
+        return { error: `The manifest has no ${missing.map(field => FIELD_LABELS[field]).join(', ')} column` };
+    }
+
+    return {
+        rows: records.map((cells, index) => {
+            const values = {};
+            fields.forEach((field, column) => {
+                if (field) values[field] = cells[column];
+            });
+            return { line: index + 2, values: values };
+        })
+    };
+}
+
+// The same from a JSON manifest; `line` is the entry's position, from 1
+function rowsFromJson(text) {
+    let data;
+    try {
+        data = JSON.parse(String(text).replace(/^\uFEFF/, ''));
+    } catch (err) {
+        return { error: `The manifest isn't valid JSON (${err.message})` };
+    }
+
+    const records = Array.isArray(data) ? data : data && data.messages;
+    if (!Array.isArray(records)) {
+        return { error: 'The JSON manifest must be a list of messages, or have them under "messages"' };
+    }
+
+    return {
+        rows: records.map((record, index) => {
+            const values = {};
+            if (record && typeof record === 'object') {
+                for (const [key, value] of Object.entries(record)) {
+                    const field = fieldFor(key);
+                    if (field) values[field] = value;
+                }
+            }
+            return { line: index + 1, values: values };
+        })
+    };
+}
+
+// The manifest among the ZIP's entries: its only .csv or .json file
+function findManifest(entries) {
+    const candidates = entries.filter(entry => ['.csv', '.json'].includes(path.extname(entry.name).toLowerCase()));
+    if (candidates.length === 0) {
+        return { error: 'The ZIP has no manifest - add a .csv or .json file listing the messages' };
+    }
+    if (candidates.length > 1) {
+        return { error: `The ZIP has more than one manifest (${candidates.map(entry => entry.name).join(', ')}) - keep just one` };
+    }
+    return { manifest: candidates[0] };
+}
+
+// ===== CHECKING ROWS =====
+
+function text(value) {
+    return value === undefined || value === null ? '' : String(value).trim();
+}
+
+// The ZIP entry a manifest filename points at: the exact path, or the only
+// file with that name in any folder (ignoring case)
+function entryFor(filename, entries) {
+    const normalized = filename.replace(/\\/g, '/').replace(/^\.?\//, '');
+    const exact = entries.find(entry => entry.name === normalized);
+    if (exact) return { entry: exact };
+
+    const base = path.posix.basename(normalized).toLowerCase();
+    const matches = entries.filter(entry => path.posix.basename(entry.name).toLowerCase() === base);
+    if (matches.length === 1) return { entry: matches[0] };
+    if (matches.length > 1) {
+        return { error: `"${filename}" matches more than one file in the ZIP (${matches.map(entry => entry.name).join(', ')}) - give its folder too` };
+    }
+    return { error: `"${filename}" is not in the ZIP` };
+}
+
+// Check one row; returns { line, message, filename, pdf, errors }. `message`
+// has the fields to save and `pdf` the file's { entryName, filename, size, read() }.
+function checkRow(row, entries, { maxPdfSize }) {
+    const values = row.values;
+    const errors = [];
+
+    for (const field of REQUIRED_FIELDS) {
+        if (!text(values[field])) {
+            errors.push(`${FIELD_LABELS[field]} is required`);
+        }
+    }
+    for (const field of MANIFEST_FIELDS) {
+        if (text(values[field]).length > MAX_FIELD_LENGTH) {
+            errors.push(`${FIELD_LABELS[field]} is longer than ${MAX_FIELD_LENGTH} characters`);
+        }
+    }
+
+    let date = null;
+    const dateText = text(values.date);
+    if (dateText) {
+        const match = DATE_PATTERN.exec(dateText);
+        date = match ? new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]))) : null;
+        if (!date || date.getUTCMonth() !== Number(match[2]) - 1) {
+            errors.push(`Date "${dateText}" must be a real date written YYYY-MM-DD`);
+            date = null;
+        }
+    }
+
+    let pdf = null;
+    const filename = text(values.filename);
+    if (filename) {
+        const found = entryFor(filename, entries);
+        if (found.error) {
+            errors.push(found.error);
+        } else if (found.entry.size > maxPdfSize) {
+            errors.push(`"${found.entry.name}" is larger than ${Math.round(maxPdfSize / 1024 / 1024)}MB`);
+        } else {
+            const entry = found.entry;
+            try {
+                if (entry.peek(5).toString('latin1') !== '%PDF-') {
+                    errors.push(`"${entry.name}" is not a PDF`);
+                } else {
+                    pdf = { entryName: entry.name, filename: path.posix.basename(entry.name), size: entry.size, read: () => entry.read() };
+                }
+            } catch (err) {
+                errors.push(err.code === 'BAD_ZIP' ? err.message : `"${entry.name}" could not be read`);
+            }
+        }
+    }
+
+    return {
+        line: row.line,
+        message: {
+            title: text(values.title),
+            code: text(values.code),
+            date: date,
+            author: text(values.author),
+            description: text(values.description)
+        },
+        filename: filename,
+        pdf: pdf,
+        errors: errors
+    };
+}
+
+// Read and check an uploaded import ZIP. Returns
+//   { error }                       when the ZIP or manifest can't be used at all
+//   { manifest, rows, unusedFiles } otherwise, where each row is checkRow()'s
+//                                   result and `unusedFiles` lists PDFs no row names
+// `existingCodes` are the codes already taken (a re-run import would clash
+// with every row), compared ignoring case.
+function readImport(buffer, { existingCodes = [], maxPdfSize = Infinity, maxTotalSize = MAX_TOTAL_SIZE } = {}) {
+    let entries;
+    try {
+        entries = readZip(buffer, { maxEntrySize: maxPdfSize, maxTotalSize: maxTotalSize });
+    } catch (err) {
+        return { error: err.code === 'BAD_ZIP' ? err.message : 'The ZIP archive is damaged' };
+    }
+
+    const { manifest, error } = findManifest(entries);
+    if (error) return { error: error };
+
+    let manifestText;
+    try {
+        manifestText = manifest.read().toString('utf8');
+    } catch (err) {
+        return { error: err.code === 'BAD_ZIP' ? err.message : 'The manifest could not be read' };
+    }
+
+    const parsed = path.extname(manifest.name).toLowerCase() === '.json'
+        ? rowsFromJson(manifestText)
+        : rowsFromCsv(manifestText);
+    if (parsed.error) return { error: parsed.error };
+    if (parsed.rows.length === 0) {
+        return { error: 'The manifest lists no messages' };
+    }
+    if (parsed.rows.length > MAX_ROWS) {
+        return { error: `The manifest lists ${parsed.rows.length} messages; import at most ${MAX_ROWS} at a time` };
+    }
+
+    const files = entries.filter(entry => entry !== manifest);
+    const rows = parsed.rows.map(row => checkRow(row, files, { maxPdfSize: maxPdfSize }));
+
+    // Codes must be new, and each PDF belongs to one message
+    const taken = new Set(existingCodes.map(code => String(code).toLowerCase()));
+    const codeLines = new Map();
+    const fileLines = new Map();
+    for (const row of rows) {
+        const code = row.message.code.toLowerCase();
+        if (code && taken.has(code)) {
+            row.errors.push(`A message with code "${row.message.code}" already exists`);
+        } else if (code && codeLines.has(code)) {
+            row.errors.push(`Code "${row.message.code}" is also used on row ${codeLines.get(code)}`);
+        } else if (code) {
+            codeLines.set(code, row.line);
+        }
+
+        if (row.pdf && fileLines.has(row.pdf.entryName)) {
+            row.errors.push(`"${row.pdf.entryName}" is also used on row ${fileLines.get(row.pdf.entryName)}`);
+        } else if (row.pdf) {
+            fileLines.set(row.pdf.entryName, row.line);
+        }
+    }
+
+    const unusedFiles = files
+        .filter(entry => path.extname(entry.name).toLowerCase() === '.pdf' && !fileLines.has(entry.name))
+        .map(entry => entry.name);
+
+    return { manifest: manifest.name, rows: rows, unusedFiles: unusedFiles };
+}
+
+module.exports = {
+    MANIFEST_FIELDS,
+    MAX_ROWS,
+    parseCsv,
+    readImport
+};
@@ -0,0 +1,56 @@
+const crypto = require('crypto');
+
+// ===== CSRF PROTECTION =====
+// Each session gets one random token. Views embed it with csrfToken():
+//   - regular forms:   <input type="hidden" name="_csrf" value="<%= csrfToken() %>">
+//   - multipart forms: action="/upload?_csrf=<%= csrfToken() %>" (multer only
+//     parses the body inside the route, after this check has run)
+//   - fetch() calls:   an X-CSRF-Token header
+// Every POST/PUT/PATCH/DELETE must send the session's token back, so a page
+// on another site can't submit forms with an admin's session cookie.
+// `skip(req)` exempts requests that don't rely on the cookie at all, such as
+// scripts using an API token.
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// The session's token, created the first time a page needs it
+function tokenFor(session) {
+    if (!session.csrfToken) {
+        session.csrfToken = crypto.randomBytes(32).toString('base64url');
+    }
+    return session.csrfToken;
+}
+
+function tokensMatch(expected, actual) {
+    if (typeof expected !== 'string' || typeof actual !== 'string') return false;
+
+    const a = Buffer.from(expected);
+    const b = Buffer.from(actual);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function submittedToken(req) {
+    if (req.body && req.body._csrf) return req.body._csrf;
+    if (req.get('X-CSRF-Token')) return req.get('X-CSRF-Token');
+    if (req.is('multipart/form-data')) return req.query._csrf;
+    return undefined;
+}
+
+// `onMismatch(req, res)` answers requests without a valid token
+function csrfProtection({ onMismatch, skip = () => false }) {
+    return (req, res, next) => {
+        res.locals.csrfToken = () => tokenFor(req.session);
+
+        if (SAFE_METHODS.includes(req.method) || skip(req)) {
+            return next();
+        }
+        if (tokensMatch(req.session.csrfToken, submittedToken(req))) {
+            return next();
+        }
+        onMismatch(req, res);
+    };
+}
+
+module.exports = {
+    csrfProtection
+};
@@ -0,0 +1,80 @@
+// ===== HEALTH CHECKS =====
+// Builds the report behind /healthz and /readyz:
+//   - database: MongoDB connection state
+//   - storage:  where reads/writes go right now ("mongodb" or "local"), and
+//               whether what's written there survives a restart
+//   - blobStores: whether GridFS and the local blob folder respond
+//   - uptime and version
+// The server is only "ready" on MongoDB with a reachable GridFS. Local storage
+// is durable too (JSON files plus the blob folder on disk) as long as its blob
+// folder responds, but it lives on this one server until it is synced back.
+
+const CONNECTION_STATES = {
+    0: 'disconnected',
+    1: 'connected',
+    2: 'connecting',
+    3: 'disconnecting'
+};
+
+const PING_TIMEOUT_MS = 2000;
+
+// Resolve to { reachable, error? } within PING_TIMEOUT_MS
+async function pingBlobStore(blobStore) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`No response within ${PING_TIMEOUT_MS}ms`)), PING_TIMEOUT_MS);
+    });
+
+    try {
+        await Promise.race([blobStore.ping(), timeout]);
+        return { reachable: true };
+    } catch (err) {
+        return { reachable: false, error: err.message };
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+function createHealthCheck({ connection, repositories, version, startedAt = new Date() }) {
+    return async function checkHealth() {
+        const connected = repositories.isConnected();
+        const problems = [];
+
+        const blobStores = {
+            gridfs: connected
+                ? await pingBlobStore(repositories.blobStores.mongo)
+                : { reachable: false, error: 'MongoDB not connected' },
+            local: await pingBlobStore(repositories.blobStores.local)
+        };
+
+        if (!connected) {
+            problems.push('Running on local storage - MongoDB is not connected');
+        } else if (!blobStores.gridfs.reachable) {
+            problems.push('GridFS blob store is unreachable: ' + blobStores.gridfs.error);
+        }
+
+        return {
+            status: problems.length === 0 ? 'ok' : 'degraded',
+            ready: problems.length === 0,
+            problems: problems,
+            version: version,
+            startedAt: startedAt.toISOString(),
+            uptimeSeconds: Math.round((Date.now() - startedAt.getTime()) / 1000),
+            // No host: anyone can read these reports
+            database: {
+                state: CONNECTION_STATES[connection.readyState] || 'unknown'
+            },
+            storage: {
+                mode: connected ? 'mongodb' : 'local',
+                // Records are written to disk either way; the bytes need
+                // the blob store of the current mode
+                durable: connected ? blobStores.gridfs.reachable : blobStores.local.reachable
+            },
+            blobStores: blobStores
+        };
+    };
+}
+
+module.exports = {
+    createHealthCheck
+};
@@ -0,0 +1,103 @@
+const sharp = require('sharp');
+
+// ===== IMAGE VARIANTS =====
+// Uploaded event/announcement images are re-encoded into a few WebP widths
+// plus a square thumbnail, so the homepage can pick a size with srcset
+// instead of sending every visitor the original upload.
+
+const VARIANT_WIDTHS = [320, 640, 1024, 1600];
+const THUMB_SIZE = 160;
+const VARIANT_CONTENT_TYPE = 'image/webp';
+const WEBP_OPTIONS = { quality: 80 };
+
+// Turn a multer upload into an imageFile field ({ data, ..., variants })
+async function processImageUpload(upload) {
+    const imageFile = {
+        data: upload.buffer,
+        contentType: upload.mimetype,
+        filename: upload.originalname,
+        size: upload.size,
+        variants: []
+    };
+
+    try {
+        // rotate() applies the EXIF orientation before resizing
+        const metadata = await sharp(upload.buffer).metadata();
+        const rotated = metadata.orientation >= 5;
+        imageFile.width = rotated ? metadata.height : metadata.width;
+        imageFile.height = rotated ? metadata.width : metadata.height;
+
+        // Only widths smaller than the original; larger requests get the original
+        for (const width of VARIANT_WIDTHS.filter(w => w < imageFile.width)) {
+            const { data, info } = await sharp(upload.buffer)
+                .rotate()
+                .resize({ width: width })
+                .webp(WEBP_OPTIONS)
+                .toBuffer({ resolveWithObject: true });
+            imageFile.variants.push(variantFor(`w${width}`, data, info));
+        }
+
+        const { data, info } = await sharp(upload.buffer)
+            .rotate()
+            .resize(THUMB_SIZE, THUMB_SIZE, { fit: 'cover', withoutEnlargement: true })
+            .webp(WEBP_OPTIONS)
+            .toBuffer({ resolveWithObject: true });
+        imageFile.variants.push(variantFor('thumb', data, info));
+    } catch (err) {
+        // Keep the original so an image sharp can't read still uploads
+        console.log('⚠️ Could not create image variants for', upload.originalname + ':', err.message);
+        imageFile.variants = [];
+    }
+
+    return imageFile;
+}
+
+function variantFor(name, data, info) {
+    return {
+        name: name,
+        width: info.width,
+        height: info.height,
+        contentType: VARIANT_CONTENT_TYPE,
+        size: data.length,
+        data: data
+    };
+}
+
+// Pick the variant for a ?size= value: "thumb", or the smallest variant at
+// least that many pixels wide. Null means "send the original".
+function selectVariant(file, size) {
+    const variants = (file && file.variants) || [];
+    if (!size || variants.length === 0) return null;
+
+    if (size === 'thumb') {
+        return variants.find(variant => variant.name === 'thumb') || null;
+    }
+
+    const width = parseInt(size, 10);
+    if (!width || width <= 0) return null;
+
+    const candidates = variants
+        .filter(variant => variant.name !== 'thumb' && variant.width >= width)
+        .sort((a, b) => a.width - b.width);
+    return candidates[0] || null;
+}
+
+// srcset attribute value for an image route, e.g. "/event-image/<id>"
+function imageSrcset(src, file) {
+    if (!file || !file.variants || file.variants.length === 0) return '';
+
+    const entries = file.variants
+        .filter(variant => variant.name !== 'thumb')
+        .map(variant => `${src}?size=${variant.width} ${variant.width}w`);
+    if (file.width) {
+        entries.push(`${src} ${file.width}w`);
+    }
+    return entries.join(', ');
+}
+
+module.exports = {
+    VARIANT_WIDTHS,
+    processImageUpload,
+    selectVariant,
+    imageSrcset
+};
@@ -0,0 +1,116 @@
+// ===== LOGIN THROTTLE =====
+// Counts failed logins per key ("ip:<address>" and "user:<username>") and
+// locks a key out once it has used its free attempts. Each further failure
+// doubles the lockout, up to maxLockMs. A key is forgotten after resetAfterMs
+// without failures, or when someone logs in successfully with it.
+//
+// State is kept in memory only: restarting the server forgets every count and
+// lifts every lockout. Lockouts that happen are also recorded through the
+// lockouts repository so owners can review and lift them, but that history
+// isn't read back into the throttle.
+
+const DEFAULTS = {
+    freeAttempts: 5,
+    baseLockMs: 60 * 1000, // 1 minute after the free attempts are used up
+    maxLockMs: 60 * 60 * 1000, // never more than an hour at a time
+    resetAfterMs: 24 * 60 * 60 * 1000
+};
+
+function keysFor(ip, username) {
+    const keys = [`ip:${ip}`];
+    if (username) {
+        keys.push(`user:${username}`);
+    }
+    return keys;
+}
+
+class LoginThrottle {
+    constructor(options = {}) {
+        this.options = { ...DEFAULTS, ...options };
+        this.entries = new Map();
+    }
+
+    // The entry for a key, dropping it once it has gone quiet
+    entry(key, now = Date.now()) {
+        const entry = this.entries.get(key);
+        if (entry && now - entry.lastFailureAt > this.options.resetAfterMs) {
+            this.entries.delete(key);
+            return null;
+        }
+        return entry || null;
+    }
+
+    // The longest active lockout among `keys`, or null
+    check(keys, now = Date.now()) {
+        let longest = null;
+        for (const key of keys) {
+            const entry = this.entry(key, now);
+            if (entry && entry.lockedUntil > now && (!longest || entry.lockedUntil > longest.lockedUntil)) {
+                longest = { key: key, failures: entry.failures, lockedUntil: entry.lockedUntil };
+            }
+        }
+        return longest;
+    }
+
+    // Failed attempts left before `keys` are locked out
+    attemptsLeft(keys, now = Date.now()) {
+        const failures = Math.max(0, ...keys.map(key => {
+            const entry = this.entry(key, now);
+            return entry ? entry.failures : 0;
+        }));
+        return Math.max(0, this.options.freeAttempts - failures);
+    }
+
+    lockDuration(failures) {
+        const extra = failures - this.options.freeAttempts;
+        if (extra < 0) return 0;
+        return Math.min(this.options.baseLockMs * 2 ** extra, this.options.maxLockMs);
+    }
+
+    // Count a failure against every key; returns the lockouts it started
+    recordFailure(keys, now = Date.now()) {
+        const lockouts = [];
+        for (const key of keys) {
+            const entry = this.entry(key, now) || { failures: 0, lockedUntil: 0 };
+            entry.failures++;
+            entry.lastFailureAt = now;
+
+            const duration = this.lockDuration(entry.failures);
+            if (duration > 0) {
+                entry.lockedUntil = now + duration;
+                lockouts.push({ key: key, failures: entry.failures, lockedUntil: entry.lockedUntil });
+            }
+            this.entries.set(key, entry);
+        }
+        this.prune(now);
+        return lockouts;
+    }
+
+    reset(key) {
+        return this.entries.delete(key);
+    }
+
+    // Active lockouts, longest first
+    locks(now = Date.now()) {
+        const active = [];
+        for (const key of [...this.entries.keys()]) {
+            const entry = this.entry(key, now);
+            if (entry && entry.lockedUntil > now) {
+                active.push({ key: key, failures: entry.failures, lockedUntil: entry.lockedUntil });
+            }
+        }
+        return active.sort((a, b) => b.lockedUntil - a.lockedUntil);
+    }
+
+    // Drop quiet entries so random usernames can't grow the map forever
+    prune(now = Date.now()) {
+        for (const key of [...this.entries.keys()]) {
+            this.entry(key, now);
+        }
+    }
+}
+
+module.exports = {
+    LoginThrottle,
+    keysFor
+};
@@ -0,0 +1,106 @@
+const path = require('path');
+
+// ===== SERMON RECORDINGS =====
+// Besides the PDF, a message can carry an audio recording (MP3/M4A) and a
+// video. The bytes go to blob storage like PDFs and are streamed with range
+// requests; the duration is read once at upload (with music-metadata) so
+// pages can show it without opening the file.
+
+const MB = 1024 * 1024;
+
+// Upload field -> what it accepts
+const MEDIA_FIELDS = {
+    audioFile: {
+        label: 'Audio',
+        route: 'audio',
+        contentTypes: ['audio/mpeg', 'audio/mp3', 'audio/mp4', 'audio/x-m4a', 'audio/m4a', 'audio/aac'],
+        extensions: ['.mp3', '.m4a'],
+        maxSize: 200 * MB
+    },
+    videoFile: {
+        label: 'Video',
+        route: 'video',
+        contentTypes: ['video/mp4', 'video/webm', 'video/quicktime', 'video/x-m4v'],
+        extensions: ['.mp4', '.webm', '.mov', '.m4v'],
+        maxSize: 500 * MB
+    }
+};
+
+// music-metadata is only loaded the first time a recording is read
+let musicMetadata = null;
+function loadMusicMetadata() {
+    if (!musicMetadata) {
+        musicMetadata = require('music-metadata');
+    }
+    return musicMetadata;
+}
+
+// Some browsers send recordings as application/octet-stream, so the file
+// extension is accepted too
+function isAcceptedMedia(field, file) {
+    const media = MEDIA_FIELDS[field];
+    if (!media) return false;
+    return media.contentTypes.includes(file.mimetype) ||
+        media.extensions.includes(path.extname(file.originalname || '').toLowerCase());
+}
+
+// The content type to store: the browser's when it's one we know, otherwise
+// one that matches the extension so players can recognise the stream
+function contentTypeFor(field, file) {
+    const media = MEDIA_FIELDS[field];
+    if (media.contentTypes.includes(file.mimetype)) return file.mimetype;
+
+    const byExtension = {
+        '.mp3': 'audio/mpeg',
+        '.m4a': 'audio/mp4',
+        '.mp4': 'video/mp4',
+        '.m4v': 'video/mp4',
+        '.webm': 'video/webm',
+        '.mov': 'video/quicktime'
+    };
+    return byExtension[path.extname(file.originalname || '').toLowerCase()] || file.mimetype;
+}
+
+// Length of a recording in seconds, or null when it can't be worked out.
+// Never throws, so an odd file can't stop an upload.
+async function readDuration(filePath) {
+    try {
+        const metadata = await loadMusicMetadata().parseFile(filePath, { duration: true, skipCovers: true });
+        const duration = metadata.format.duration;
+        return duration > 0 && isFinite(duration) ? Math.round(duration * 10) / 10 : null;
+    } catch (err) {
+        console.log('⚠️ Could not read recording length:', err.message);
+        return null;
+    }
+}
+
+// Turn a multer upload into an audioFile/videoFile field ({ path, ..., duration }).
+// Recordings are too big to hold in memory, so the upload is a temporary
+// file (see lib/upload-storage.js) that the blob store copies from.
+async function processMediaUpload(field, upload) {
+    return {
+        path: upload.path,
+        contentType: contentTypeFor(field, upload),
+        filename: upload.originalname,
+        size: upload.size,
+        duration: await readDuration(upload.path)
+    };
+}
+
+// "42:05" or "1:02:09"
+function formatDuration(seconds) {
+    if (!(seconds > 0)) return '';
+
+    const total = Math.round(seconds);
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    const secs = String(total % 60).padStart(2, '0');
+    return hours ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+}
+
+module.exports = {
+    MEDIA_FIELDS,
+    isAcceptedMedia,
+    processMediaUpload,
+    formatDuration
+};
@@ -0,0 +1,14 @@
+// ===== MONGODB URI =====
+// The server, the create-owner script and the migration CLI must agree on
+// whether there is a MongoDB to use, or an account or migration can land in a
+// database the server never reads. MONGO_URI (or MONGODB_URI) counts only when
+// it is an Atlas mongodb+srv:// address; anything else means local storage.
+
+function mongoUri(env = process.env) {
+    const uri = env.MONGO_URI || env.MONGODB_URI;
+    return uri && uri.includes('mongodb+srv://') ? uri : null;
+}
+
+module.exports = {
+    mongoUri
+};
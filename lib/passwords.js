@@ -0,0 +1,63 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+// ===== PASSWORD HASHING =====
+// Passwords are stored as "scrypt$N$r$p$<salt>$<hash>" (base64 salt/hash), so
+// the cost parameters can be raised later without breaking old hashes.
+
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+const MIN_PASSWORD_LENGTH = 10;
+
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const { N, r, p } = SCRYPT_PARAMS;
+    const hash = await scrypt(password, salt, KEY_LENGTH, { N, r, p });
+    return ['scrypt', N, r, p, salt.toString('base64'), hash.toString('base64')].join('$');
+}
+
+async function verifyPassword(password, stored) {
+    const parts = typeof stored === 'string' ? stored.split('$') : [];
+    if (parts.length !== 6 || parts[0] !== 'scrypt') return false;
+
+    const [, N, r, p, salt, hash] = parts;
+    const expected = Buffer.from(hash, 'base64');
+    const actual = await scrypt(String(password), Buffer.from(salt, 'base64'), expected.length, {
+        N: Number(N),
+        r: Number(r),
+        p: Number(p)
+    });
+    return crypto.timingSafeEqual(actual, expected);
+}
+
+// Error message for a password that is too weak, or null when it's fine
+function passwordProblem(password, confirmation) {
+    if (!password || password.length < MIN_PASSWORD_LENGTH) {
+        return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+    }
+    if (confirmation !== undefined && password !== confirmation) {
+        return 'Passwords do not match';
+    }
+    return null;
+}
+
+// Random single-use tokens (invite links); only the SHA-256 is stored
+function createToken() {
+    const token = crypto.randomBytes(32).toString('base64url');
+    return { token: token, tokenHash: hashToken(token) };
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+module.exports = {
+    MIN_PASSWORD_LENGTH,
+    hashPassword,
+    verifyPassword,
+    passwordProblem,
+    createToken,
+    hashToken
+};
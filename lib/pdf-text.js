@@ -0,0 +1,101 @@
+const { highlight } = require('./search');
+
+// ===== PDF TEXT =====
+// Pulls the text out of sermon PDFs (with pdfjs-dist) so search can look
+// inside them, and cuts short snippets around matches for the results page.
+// Scanned PDFs without a text layer simply come back with empty pages.
+
+// pdfjs is only loaded the first time a PDF is read
+let pdfjs = null;
+function loadPdfjs() {
+    if (!pdfjs) {
+        pdfjs = require('pdfjs-dist/legacy/build/pdf.js');
+    }
+    return pdfjs;
+}
+
+const MAX_TEXT_LENGTH = 500 * 1000; // characters kept per PDF, across all pages
+
+// Collapse the positioned text items of one page into plain text
+function pageText(content) {
+    return content.items
+        .map(item => item.str + (item.hasEOL ? '\n' : ''))
+        .join(' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+// { pages: ['text of page 1', ...], pageCount, extractedAt } - or, when the
+// file can't be read, the same with no pages and an `error`. Never throws, so
+// an odd PDF can't stop an upload.
+async function extractPdfText(buffer) {
+    const result = { pages: [], pageCount: 0, extractedAt: new Date() };
+    let document = null;
+    try {
+        document = await loadPdfjs().getDocument({
+            data: new Uint8Array(buffer),
+            isEvalSupported: false,
+            disableFontFace: true,
+            verbosity: 0
+        }).promise;
+        result.pageCount = document.numPages;
+
+        let length = 0;
+        for (let number = 1; number <= document.numPages && length < MAX_TEXT_LENGTH; number++) {
+            const page = await document.getPage(number);
+            const text = pageText(await page.getTextContent()).slice(0, MAX_TEXT_LENGTH - length);
+            result.pages.push(text);
+            length += text.length;
+            page.cleanup();
+        }
+    } catch (err) {
+        console.log('⚠️ Could not read PDF text:', err.message);
+        result.error = err.message;
+    } finally {
+        if (document) {
+            await document.destroy();
+        }
+    }
+    return result;
+}
+
+// ===== SNIPPETS =====
+const SNIPPET_RADIUS = 70; // characters either side of a match
+
+// Up to `limit` snippets ({ page, parts }), at most one per page, for a query
+// from lib/search.js. `parts` are highlighted like search results.
+function findSnippets(pages, query, { limit = 3, radius = SNIPPET_RADIUS } = {}) {
+    const snippets = [];
+    if (!pages) return snippets;
+
+    for (let index = 0; index < pages.length && snippets.length < limit; index++) {
+        const text = pages[index] || '';
+        let hit = -1;
+        let position = 0;
+        for (const part of highlight(text, query)) {
+            if (part.match) {
+                hit = position;
+                break;
+            }
+            position += part.text.length;
+        }
+        if (hit === -1) continue;
+
+        // Widen to whole words
+        let start = Math.max(0, hit - radius);
+        let end = Math.min(text.length, hit + radius * 2);
+        if (start > 0) start = text.lastIndexOf(' ', start) + 1;
+        if (end < text.length) end = text.indexOf(' ', end) === -1 ? text.length : text.indexOf(' ', end);
+
+        const parts = highlight(text.slice(start, end), query);
+        if (start > 0) parts.unshift({ text: '… ', match: false });
+        if (end < text.length) parts.push({ text: ' …', match: false });
+        snippets.push({ page: index + 1, parts: parts });
+    }
+    return snippets;
+}
+
+module.exports = {
+    extractPdfText,
+    findSnippets
+};
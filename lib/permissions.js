@@ -0,0 +1,57 @@
+// ===== ROLES & PERMISSIONS =====
+// Every admin account has one role; a role grants a set of permissions.
+// Any logged-in user can view the admin pages, but changing content needs
+// the permission for that area:
+//   messages      - upload, import, edit, feature and delete sermons, and manage
+//                   series and preachers
+//   events        - create, edit, feature and delete events
+//   announcements - create, edit, toggle and delete announcements
+//   sync          - import or discard content saved while offline
+//   users         - invite, disable and remove admin accounts
+//   audit         - view and export the audit log
+
+const PERMISSIONS = ['messages', 'events', 'announcements', 'sync', 'users', 'audit'];
+
+const ROLES = {
+    owner: {
+        label: 'Owner',
+        description: 'Everything, including managing admin accounts and the audit log',
+        permissions: PERMISSIONS
+    },
+    admin: {
+        label: 'Administrator',
+        description: 'All sermons, events and announcements',
+        permissions: ['messages', 'events', 'announcements', 'sync']
+    },
+    sermon_editor: {
+        label: 'Sermon Editor',
+        description: 'Sermons only',
+        permissions: ['messages']
+    },
+    events_coordinator: {
+        label: 'Events Coordinator',
+        description: 'Events only',
+        permissions: ['events']
+    },
+    announcer: {
+        label: 'Announcer',
+        description: 'Announcements only',
+        permissions: ['announcements']
+    }
+};
+
+function can(user, permission) {
+    const role = user && user.status === 'active' && ROLES[user.role];
+    return Boolean(role && role.permissions.includes(permission));
+}
+
+function roleLabel(role) {
+    return ROLES[role] ? ROLES[role].label : role;
+}
+
+module.exports = {
+    PERMISSIONS,
+    ROLES,
+    can,
+    roleLabel
+};
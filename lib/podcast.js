@@ -0,0 +1,236 @@
+// ===== PODCAST FEED =====
+// Builds the RSS 2.0 feed (with Apple's itunes: tags) that podcast apps
+// subscribe to at /podcast.xml, and one feed per series. Every sermon with
+// an audio recording is an episode; sermons with only a PDF go out with the
+// PDF as the enclosure, which Apple Podcasts also accepts.
+//
+// Channel settings are stored as the "podcast" setting and the artwork as
+// the "podcastArtwork" setting's file. test/podcast.test.js checks the feed
+// against the tags Apple's podcast spec requires.
+
+const ITUNES_NS = 'http://www.itunes.com/dtds/podcast-1.0.dtd';
+const ATOM_NS = 'http://www.w3.org/2005/Atom';
+
+const PODCAST_DEFAULTS = {
+    title: 'The God of Chosen Answers Prayers - Sermons',
+    description: 'Sunday messages and teachings from The God of Chosen Answers Prayers, Lagos.',
+    author: 'The God of Chosen Answers Prayers',
+    ownerName: '',
+    ownerEmail: '',
+    language: 'en',
+    category: 'Religion & Spirituality/Christianity',
+    explicit: false,
+    copyright: ''
+};
+
+// Apple's categories that fit a church ("Category/Subcategory")
+const PODCAST_CATEGORIES = [
+    'Religion & Spirituality',
+    'Religion & Spirituality/Christianity',
+    'Religion & Spirituality/Religion',
+    'Religion & Spirituality/Spirituality'
+];
+
+// Apple Podcasts wants square JPEG/PNG artwork between these sizes
+const ARTWORK_TYPES = ['image/jpeg', 'image/png'];
+const ARTWORK_MIN_SIZE = 1400;
+const ARTWORK_MAX_SIZE = 3000;
+
+const MAX_EPISODES = 300; // the newest ones; apps page through older feeds poorly anyway
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const LANGUAGE_PATTERN = /^[a-z]{2,3}(-[A-Za-z]{2,4})?$/;
+
+function podcastSettings(stored) {
+    return { ...PODCAST_DEFAULTS, ...(stored || {}) };
+}
+
+// { settings } from the admin form, or { error }
+function settingsFromForm(body) {
+    const text = (name, max) => String(body[name] || '').trim().slice(0, max);
+    const settings = {
+        title: text('title', 150),
+        description: text('description', 4000),
+        author: text('author', 150),
+        ownerName: text('ownerName', 150),
+        ownerEmail: text('ownerEmail', 150),
+        language: text('language', 10) || PODCAST_DEFAULTS.language,
+        category: text('category', 100),
+        explicit: body.explicit === 'on',
+        copyright: text('copyright', 200)
+    };
+
+    if (!settings.title || !settings.description || !settings.author) {
+        return { error: 'Title, description and author are required' };
+    }
+    if (settings.ownerEmail && !EMAIL_PATTERN.test(settings.ownerEmail)) {
+        return { error: 'Owner email must be an email address' };
+    }
+    if (!LANGUAGE_PATTERN.test(settings.language)) {
+        return { error: 'Language must be a code such as en or en-NG' };
+    }
+    if (!PODCAST_CATEGORIES.includes(settings.category)) {
+        return { error: 'Please choose one of the listed categories' };
+    }
+    return { settings: settings };
+}
+
+function isPodcastArtwork(file) {
+    return Boolean(file) &&
+        ARTWORK_TYPES.includes(file.contentType) &&
+        file.width === file.height &&
+        file.width >= ARTWORK_MIN_SIZE &&
+        file.width <= ARTWORK_MAX_SIZE;
+}
+
+// Apple wants artwork URLs to end in the image's extension
+function artworkExtension(file) {
+    return file && file.contentType === 'image/png' ? 'png' : 'jpg';
+}
+
+// What podcast directories would complain about, for the admin page
+function feedProblems(settings, artwork, counts) {
+    const problems = [];
+    if (!settings.ownerEmail) {
+        problems.push('Add an owner email - Apple Podcasts and Spotify send their verification emails there.');
+    }
+    if (!artwork) {
+        problems.push('Upload artwork - directories don\'t list podcasts without it.');
+    } else if (!isPodcastArtwork(artwork)) {
+        problems.push(`Artwork should be a square JPEG or PNG between ${ARTWORK_MIN_SIZE} and ${ARTWORK_MAX_SIZE} pixels wide ` +
+            `(this one is ${artwork.width || '?'}x${artwork.height || '?'} ${artwork.contentType}).`);
+    }
+    if (counts.audio === 0) {
+        problems.push('No sermon has an audio recording yet, so listeners will only get PDFs.');
+    }
+    return problems;
+}
+
+// ===== XML =====
+
+function escapeXml(text) {
+    return String(text === undefined || text === null ? '' : text)
+        // Characters XML 1.0 doesn't allow at all
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+function element(name, text, attributes = {}) {
+    const attrs = Object.entries(attributes)
+        .map(([key, value]) => ` ${key}="${escapeXml(value)}"`)
+        .join('');
+    return text === null ? `<${name}${attrs}/>` : `<${name}${attrs}>${escapeXml(text)}</${name}>`;
+}
+
+// <itunes:category text="Religion &amp; Spirituality"><itunes:category text="Christianity"/></...>
+function categoryElement(category) {
+    const [main, sub] = category.split('/');
+    if (!sub) return element('itunes:category', null, { text: main });
+    return `<itunes:category text="${escapeXml(main)}">${element('itunes:category', null, { text: sub })}</itunes:category>`;
+}
+
+// The enclosure for a message - its audio, else its PDF - or null
+function enclosureFor(message, siteUrl) {
+    if (message.audioFile) {
+        return {
+            url: `${siteUrl}/audio/${message._id}`,
+            length: message.audioFile.size || 0,
+            type: message.audioFile.contentType || 'audio/mpeg',
+            duration: message.audioFile.duration
+        };
+    }
+    if (message.pdfFile) {
+        return {
+            url: `${siteUrl}/pdf/${message._id}`,
+            length: message.pdfFile.size || 0,
+            type: 'application/pdf'
+        };
+    }
+    return null;
+}
+
+// One <item>. `episode` is its number within a series feed.
+function itemXml(message, siteUrl, link, episode) {
+    const enclosure = enclosureFor(message, siteUrl);
+    const lines = [
+        element('title', message.title),
+        element('description', message.description),
+        element('link', link),
+        // Not a URL: the same feed fetched through another host or proxy
+        // mustn't look like new episodes to podcast apps
+        element('guid', `message:${message._id}`, { isPermaLink: 'false' }),
+        element('pubDate', new Date(message.date).toUTCString()),
+        element('enclosure', null, { url: enclosure.url, length: enclosure.length, type: enclosure.type }),
+        element('itunes:author', message.author),
+        element('itunes:episodeType', 'full')
+    ];
+    if (enclosure.duration) {
+        lines.push(element('itunes:duration', Math.round(enclosure.duration)));
+    }
+    if (episode) {
+        lines.push(element('itunes:episode', episode));
+    }
+    return '    <item>\n' + lines.map(line => '      ' + line).join('\n') + '\n    </item>';
+}
+
+// The feed as a string.
+//   channel  - podcastSettings() (title/description may be overridden per series)
+//   episodes - [{ message, link, episode? }] in feed order
+//   feedUrl, siteUrl, link, artworkUrl, serial (episodes are meant to be heard in order)
+function buildFeed({ channel, episodes, feedUrl, siteUrl, link, artworkUrl, serial }) {
+    const lines = [
+        element('title', channel.title),
+        element('link', link),
+        element('description', channel.description),
+        element('language', channel.language),
+        element('lastBuildDate', new Date().toUTCString()),
+        element('generator', 'Church website'),
+        element('atom:link', null, { href: feedUrl, rel: 'self', type: 'application/rss+xml' }),
+        element('itunes:author', channel.author),
+        element('itunes:summary', channel.description),
+        element('itunes:type', serial ? 'serial' : 'episodic'),
+        element('itunes:explicit', channel.explicit ? 'true' : 'false'),
+        categoryElement(channel.category)
+    ];
+    if (channel.copyright) {
+        lines.push(element('copyright', channel.copyright));
+    }
+    if (channel.ownerName || channel.ownerEmail) {
+        lines.push('<itunes:owner>' +
+            (channel.ownerName ? element('itunes:name', channel.ownerName) : '') +
+            (channel.ownerEmail ? element('itunes:email', channel.ownerEmail) : '') +
+            '</itunes:owner>');
+    }
+    if (artworkUrl) {
+        lines.push(element('itunes:image', null, { href: artworkUrl }));
+        lines.push(`<image>${element('url', artworkUrl)}${element('title', channel.title)}${element('link', link)}</image>`);
+    }
+
+    const items = episodes
+        .filter(entry => enclosureFor(entry.message, siteUrl))
+        .slice(0, MAX_EPISODES)
+        .map(entry => itemXml(entry.message, siteUrl, entry.link, entry.episode));
+
+    return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+        `<rss version="2.0" xmlns:itunes="${ITUNES_NS}" xmlns:atom="${ATOM_NS}">\n` +
+        '  <channel>\n' +
+        lines.map(line => '    ' + line).join('\n') + '\n' +
+        items.join('\n') + (items.length ? '\n' : '') +
+        '  </channel>\n' +
+        '</rss>\n';
+}
+
+module.exports = {
+    PODCAST_DEFAULTS,
+    PODCAST_CATEGORIES,
+    podcastSettings,
+    settingsFromForm,
+    isPodcastArtwork,
+    artworkExtension,
+    feedProblems,
+    enclosureFor,
+    buildFeed
+};
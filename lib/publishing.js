@@ -0,0 +1,75 @@
+// ===== DRAFTS & SCHEDULED PUBLISHING =====
+// A message is a draft, scheduled or published. Drafts are only seen by
+// admins. A scheduled message goes public on its own at `publishAt`:
+// nothing has to run then, because every public page compares `publishAt`
+// with the current time. Messages saved before statuses existed have
+// neither field and count as published.
+
+const STATUSES = ['draft', 'scheduled', 'published'];
+
+const STATUS_LABELS = {
+    draft: 'Draft',
+    scheduled: 'Scheduled',
+    published: 'Published'
+};
+
+// 'draft', 'scheduled' or 'published' as of `now` - a scheduled message
+// whose time has come is published
+function publicationState(message, now = new Date()) {
+    if (message.status === 'draft') return 'draft';
+    if (message.publishAt && new Date(message.publishAt) > now) return 'scheduled';
+    return 'published';
+}
+
+function isPublished(message, now = new Date()) {
+    return publicationState(message, now) === 'published';
+}
+
+const LOCAL_DATE_TIME = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2}))?$/;
+const MAX_OFFSET_MINUTES = 14 * 60;
+
+// A datetime-local value ("2024-05-01T09:00") is a wall-clock time in the
+// admin's browser, so the forms send that browser's offset along with it
+// (`publishAtOffset`, in minutes as Date#getTimezoneOffset() gives them;
+// UTC when missing). Values with their own zone ("...Z", "+01:00"), e.g.
+// from API scripts, are taken as they are.
+function parseFormDateTime(value, offsetMinutes) {
+    const match = LOCAL_DATE_TIME.exec(String(value || '').trim());
+    if (!match) return new Date(value);
+
+    let offset = parseInt(offsetMinutes);
+    if (!(Math.abs(offset) <= MAX_OFFSET_MINUTES)) offset = 0;
+
+    const [year, month, day, hours, minutes, seconds = 0] = match.slice(1).map(part => Number(part || 0));
+    return new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds) + offset * 60 * 1000);
+}
+
+// { status, publishAt } from the upload/edit form's `status` and `publishAt`
+// (see parseFormDateTime), or { error }. Publishing keeps the time a
+// message first went public; a time in the past publishes it straight away.
+function publishingFromForm(body, current, now = new Date()) {
+    const status = STATUSES.includes(body.status) ? body.status : 'published';
+
+    if (status === 'draft') {
+        return { status: 'draft', publishAt: null };
+    }
+    if (status === 'scheduled') {
+        const publishAt = parseFormDateTime(body.publishAt, body.publishAtOffset);
+        if (!body.publishAt || isNaN(publishAt)) {
+            return { error: 'Please choose when the message should be published' };
+        }
+        return { status: publishAt > now ? 'scheduled' : 'published', publishAt: publishAt };
+    }
+
+    const alreadyPublic = current && isPublished(current, now) && current.publishAt;
+    return { status: 'published', publishAt: alreadyPublic ? current.publishAt : now };
+}
+
+module.exports = {
+    STATUSES,
+    STATUS_LABELS,
+    publicationState,
+    isPublished,
+    parseFormDateTime,
+    publishingFromForm
+};
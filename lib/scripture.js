@@ -0,0 +1,357 @@
+// ===== SCRIPTURE REFERENCES =====
+// Finds Bible references such as "John 3:16", "Rom 8:28-39", "1 Cor. 13",
+// "Ps 23; 91:1-4" or "Gen 1:1-2:3" in free text and turns them into
+// { book, chapter, verse, endChapter, endVerse } records, so sermons can be
+// browsed by book and chapter.
+//
+// A reference covers chapter..endChapter; `verse` and `endVerse` are null
+// when it names whole chapters. Books are matched by name or abbreviation
+// ("Rom", "Ro.", "1Cor", "First Corinthians", "II Kings"), in Title Case or
+// UPPER CASE so ordinary words like "mark" or "acts" aren't taken for books.
+// Names that are also common words ("Mark 5", "Acts 2", "Is 40") only count
+// with a verse, where "Mark 5:1" can't be anything else.
+
+// [name, chapters, abbreviations]; numbered books ("1 Samuel") list the
+// abbreviations of the name without its number
+const OLD_TESTAMENT = [
+    ['Genesis', 50, ['Gen', 'Ge', 'Gn']],
+    ['Exodus', 40, ['Exod', 'Exo', 'Ex']],
+    ['Leviticus', 27, ['Lev', 'Le', 'Lv']],
+    ['Numbers', 36, ['Num', 'Numb', 'Nu', 'Nm']],
+    ['Deuteronomy', 34, ['Deut', 'Dt', 'De']],
+    ['Joshua', 24, ['Josh', 'Jos']],
+    ['Judges', 21, ['Judg', 'Jdg', 'Jg']],
+    ['Ruth', 4, ['Rth', 'Ru']],
+    ['1 Samuel', 31, ['Sam', 'Sa', 'Sm']],
+    ['2 Samuel', 24, ['Sam', 'Sa', 'Sm']],
+    ['1 Kings', 22, ['Kgs', 'Kin', 'Ki']],
+    ['2 Kings', 25, ['Kgs', 'Kin', 'Ki']],
+    ['1 Chronicles', 29, ['Chron', 'Chr', 'Ch']],
+    ['2 Chronicles', 36, ['Chron', 'Chr', 'Ch']],
+    ['Ezra', 10, ['Ezr']],
+    ['Nehemiah', 13, ['Neh', 'Ne']],
+    ['Esther', 10, ['Esth', 'Est', 'Es']],
+    ['Job', 42, ['Jb']],
+    ['Psalms', 150, ['Psalm', 'Psa', 'Pss', 'Psm', 'Ps']],
+    ['Proverbs', 31, ['Prov', 'Pro', 'Prv', 'Pr']],
+    ['Ecclesiastes', 12, ['Eccles', 'Eccl', 'Ecc', 'Qoh', 'Ec']],
+    ['Song of Songs', 8, ['Song of Solomon', 'Song', 'Songs', 'Canticles', 'Cant', 'SOS']],
+    ['Isaiah', 66, ['Isa', 'Is']],
+    ['Jeremiah', 52, ['Jer', 'Je', 'Jr']],
+    ['Lamentations', 5, ['Lam', 'La']],
+    ['Ezekiel', 48, ['Ezek', 'Eze', 'Ezk']],
+    ['Daniel', 12, ['Dan', 'Da', 'Dn']],
+    ['Hosea', 14, ['Hos', 'Ho']],
+    ['Joel', 3, ['Jl']],
+    ['Amos', 9, ['Am']],
+    ['Obadiah', 1, ['Obad', 'Ob']],
+    ['Jonah', 4, ['Jon', 'Jnh']],
+    ['Micah', 7, ['Mic', 'Mc']],
+    ['Nahum', 3, ['Nah', 'Na']],
+    ['Habakkuk', 3, ['Hab', 'Hb']],
+    ['Zephaniah', 3, ['Zeph', 'Zep', 'Zp']],
+    ['Haggai', 2, ['Hag', 'Hg']],
+    ['Zechariah', 14, ['Zech', 'Zec', 'Zc']],
+    ['Malachi', 4, ['Mal', 'Ml']]
+];
+
+const NEW_TESTAMENT = [
+    ['Matthew', 28, ['Matt', 'Mat', 'Mt']],
+    ['Mark', 16, ['Mrk', 'Mk', 'Mr']],
+    ['Luke', 24, ['Luk', 'Lk']],
+    ['John', 21, ['Jhn', 'Joh', 'Jn']],
+    ['Acts', 28, ['Act', 'Ac']],
+    ['Romans', 16, ['Rom', 'Ro', 'Rm']],
+    ['1 Corinthians', 16, ['Cor']],
+    ['2 Corinthians', 13, ['Cor']],
+    ['Galatians', 6, ['Gal', 'Ga']],
+    ['Ephesians', 6, ['Ephes', 'Eph']],
+    ['Philippians', 4, ['Phil', 'Php', 'Pp']],
+    ['Colossians', 4, ['Col']],
+    ['1 Thessalonians', 5, ['Thess', 'Thes', 'Th']],
+    ['2 Thessalonians', 3, ['Thess', 'Thes', 'Th']],
+    ['1 Timothy', 6, ['Tim', 'Tm']],
+    ['2 Timothy', 4, ['Tim', 'Tm']],
+    ['Titus', 3, ['Tit']],
+    ['Philemon', 1, ['Philem', 'Phm', 'Pm']],
+    ['Hebrews', 13, ['Heb']],
+    ['James', 5, ['Jas', 'Jm']],
+    ['1 Peter', 5, ['Pet', 'Pe', 'Pt']],
+    ['2 Peter', 3, ['Pet', 'Pe', 'Pt']],
+    ['1 John', 5, ['Jhn', 'Joh', 'Jn']],
+    ['2 John', 1, ['Jhn', 'Joh', 'Jn']],
+    ['3 John', 1, ['Jhn', 'Joh', 'Jn']],
+    ['Jude', 1, ['Jud', 'Jd']],
+    ['Revelation', 22, ['Revelations', 'Rev', 'Re']]
+];
+
+// How "1", "2" and "3" may be written in front of a book name
+const NUMBER_PREFIXES = {
+    1: ['1', '1st', 'I', 'First'],
+    2: ['2', '2nd', 'II', 'Second'],
+    3: ['3', '3rd', 'III', 'Third']
+};
+
+// Names that are everyday words too; with these a bare chapter isn't enough.
+// Abbreviations of one or two letters are treated the same way, except "Ps".
+const WORD_NAMES = new Set(['Job', 'Mark', 'Acts', 'Act', 'Numbers', 'Judges', 'Song', 'Songs', 'Cant']);
+const SHORT_ENOUGH_ALONE = new Set(['Ps']);
+
+const MAX_VERSE = 176; // Psalm 119
+const MAX_PDF_REFERENCES = 200; // a concordance-style handout shouldn't flood the index
+
+function slugFor(name) {
+    return name.toLowerCase().replace(/[^a-z0-9]+/g, '-');
+}
+
+const BOOKS = [
+    ...OLD_TESTAMENT.map(book => [...book, 'old']),
+    ...NEW_TESTAMENT.map(book => [...book, 'new'])
+].map(([name, chapters, abbreviations, testament], index) => ({
+    name: name,
+    slug: slugFor(name),
+    chapters: chapters,
+    testament: testament,
+    order: index,
+    abbreviations: abbreviations
+}));
+
+const BOOKS_BY_NAME = new Map(BOOKS.map(book => [book.name, book]));
+const BOOKS_BY_SLUG = new Map(BOOKS.map(book => [book.slug, book]));
+
+// ===== MATCHING =====
+
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Every way of writing each book -> { book, needsVerse }
+function buildSpellings() {
+    const spellings = new Map();
+    const add = (text, book, needsVerse) => {
+        for (const variant of [text, text.toUpperCase()]) {
+            if (!spellings.has(variant)) {
+                spellings.set(variant, { book: book, needsVerse: needsVerse });
+            }
+        }
+    };
+
+    for (const book of BOOKS) {
+        const numbered = /^([123]) (.+)$/.exec(book.name);
+        const baseName = numbered ? numbered[2] : book.name;
+        const names = [baseName, ...book.abbreviations];
+
+        for (const name of names) {
+            const needsVerse = WORD_NAMES.has(name) || (name.length <= 2 && !SHORT_ENOUGH_ALONE.has(name));
+            if (!numbered) {
+                add(name, book, needsVerse);
+                continue;
+            }
+            for (const prefix of NUMBER_PREFIXES[numbered[1]]) {
+                add(`${prefix} ${name}`, book, false);
+                if (/^\d/.test(prefix)) {
+                    add(`${prefix}${name}`, book, false);
+                }
+            }
+        }
+    }
+    return spellings;
+}
+
+const SPELLINGS = buildSpellings();
+
+// Longest spellings first, so "1 John" wins over "John" and "Songs" over "Song".
+// Spaces inside a spelling match any run of spaces.
+const BOOK_PATTERN = new RegExp(
+    '(?<![\\p{L}\\p{N}])(' +
+    [...SPELLINGS.keys()]
+        .sort((a, b) => b.length - a.length)
+        .map(spelling => escapeRegex(spelling).replace(/ /g, '\\s+'))
+        .join('|') +
+    ')\\.?(?=\\s*\\d)',
+    'gu'
+);
+
+// "3", "3:16", "3:16-18", "3:16-4:2" or "3-5" (a verse may follow a "." too, as in "John 3.16")
+const FIRST_PART = /\s*(\d{1,3})(?:[:.](\d{1,3}))?(?:\s*[-–—]\s*(\d{1,3})(?:[:.](\d{1,3}))?)?(?![\p{L}\p{N}])/uy;
+// ", 18", ", 18-20" or "; 12:1" after a reference to the same book
+const NEXT_PART = /\s*([,;])\s*(\d{1,3})(?:[:.](\d{1,3}))?(?:\s*[-–—]\s*(\d{1,3})(?:[:.](\d{1,3}))?)?(?![\p{L}\p{N}])/uy;
+
+function toNumber(text) {
+    return text === undefined ? null : Number(text);
+}
+
+// A reference from the numbers of one part, or null when they don't make
+// sense for the book (e.g. "John 35" or "Rom 8:40-2")
+function buildReference(book, chapter, verse, rangeStart, rangeVerse) {
+    if (book.chapters === 1 && verse === null && rangeVerse === null) {
+        // "Jude 3" and "Jude 3-5" are verses of its only chapter
+        verse = chapter;
+        chapter = 1;
+        if (rangeStart === null) {
+            rangeStart = verse;
+        }
+        [rangeStart, rangeVerse] = [1, rangeStart];
+    }
+
+    let endChapter = chapter;
+    let endVerse = verse;
+    if (rangeStart !== null) {
+        if (rangeVerse !== null) {
+            endChapter = rangeStart;
+            endVerse = rangeVerse;
+        } else if (verse !== null) {
+            endVerse = rangeStart;
+        } else {
+            endChapter = rangeStart;
+        }
+    }
+    if (verse === null && endVerse !== null) {
+        verse = 1; // "Gen 1-2:3" reads as "Gen 1:1-2:3"
+    }
+
+    const chapterOk = value => value >= 1 && value <= book.chapters;
+    const verseOk = value => value === null || (value >= 1 && value <= MAX_VERSE);
+    if (!chapterOk(chapter) || !chapterOk(endChapter) || !verseOk(verse) || !verseOk(endVerse)) return null;
+    if (endChapter < chapter || (endChapter === chapter && endVerse !== null && endVerse < verse)) return null;
+
+    return { book: book.name, chapter: chapter, verse: verse, endChapter: endChapter, endVerse: endVerse };
+}
+
+// Sorts references into Bible order
+function compareReferences(a, b) {
+    return BOOKS_BY_NAME.get(a.book).order - BOOKS_BY_NAME.get(b.book).order ||
+        a.chapter - b.chapter ||
+        (a.verse || 0) - (b.verse || 0) ||
+        a.endChapter - b.endChapter ||
+        (a.endVerse || 0) - (b.endVerse || 0);
+}
+
+// The references in `text`, deduplicated and in Bible order
+function findReferences(text, { limit } = {}) {
+    text = String(text || '');
+    const found = new Map();
+    const keep = reference => {
+        if (reference) found.set(formatReference(reference), reference);
+    };
+
+    for (const match of text.matchAll(BOOK_PATTERN)) {
+        const spelling = SPELLINGS.get(match[1].replace(/\s+/g, ' '));
+        if (!spelling) continue;
+        const book = spelling.book;
+
+        FIRST_PART.lastIndex = match.index + match[0].length;
+        const first = FIRST_PART.exec(text);
+        if (!first) continue;
+        const [chapter, verse, rangeStart, rangeVerse] = first.slice(1).map(toNumber);
+        if (spelling.needsVerse && verse === null) continue;
+        keep(buildReference(book, chapter, verse, rangeStart, rangeVerse));
+
+        // Follow-on parts: after a verse, ", 18" is another verse of the same
+        // chapter; otherwise a number starts a new chapter
+        let currentChapter = rangeVerse !== null ? rangeStart : chapter;
+        let afterVerse = verse !== null;
+        NEXT_PART.lastIndex = FIRST_PART.lastIndex;
+        let next;
+        while ((next = NEXT_PART.exec(text))) {
+            const [separator, number, nextVerse, nextRange, nextRangeVerse] = [next[1], ...next.slice(2).map(toNumber)];
+            if (separator === ',' && afterVerse && nextVerse === null) {
+                keep(buildReference(book, currentChapter, number, nextRange, nextRangeVerse));
+            } else {
+                if (spelling.needsVerse && nextVerse === null) break;
+                keep(buildReference(book, number, nextVerse, nextRange, nextRangeVerse));
+                currentChapter = nextRangeVerse !== null ? nextRange : number;
+                afterVerse = nextVerse !== null;
+            }
+        }
+        if (limit && found.size >= limit) break;
+    }
+
+    const references = [...found.values()].sort(compareReferences);
+    return limit ? references.slice(0, limit) : references;
+}
+
+// ===== MESSAGES =====
+
+// The `scriptureRefs` of a message: the references in its description, then
+// those found in its PDF. `pdfPages` is pdfText.pages when the PDF has been
+// read. A passage in both is kept twice, so editing the description doesn't
+// lose what the PDF said.
+function messageReferences(description, pdfPages) {
+    const fromDescription = findReferences(description);
+    const fromPdf = findReferences((pdfPages || []).join('\n'), { limit: MAX_PDF_REFERENCES });
+
+    return [
+        ...fromDescription.map(reference => ({ ...reference, source: 'description' })),
+        ...fromPdf.map(reference => ({ ...reference, source: 'pdf' }))
+    ];
+}
+
+// Whether a reference covers the book (and chapter, when given)
+function coversChapter(reference, book, chapter) {
+    if (reference.book !== book) return false;
+    return chapter === undefined || (reference.chapter <= chapter && reference.endChapter >= chapter);
+}
+
+// { [book]: { messages, chapters: { [chapter]: messages } } } - how many
+// messages refer to each book and chapter, counting each message once
+function countReferences(messages) {
+    const counts = {};
+    for (const message of messages) {
+        const chaptersByBook = new Map();
+        for (const reference of message.scriptureRefs || []) {
+            if (!BOOKS_BY_NAME.has(reference.book)) continue;
+            const chapters = chaptersByBook.get(reference.book) || new Set();
+            for (let chapter = reference.chapter; chapter <= reference.endChapter; chapter++) {
+                chapters.add(chapter);
+            }
+            chaptersByBook.set(reference.book, chapters);
+        }
+
+        for (const [book, chapters] of chaptersByBook) {
+            counts[book] = counts[book] || { messages: 0, chapters: {} };
+            counts[book].messages++;
+            for (const chapter of chapters) {
+                counts[book].chapters[chapter] = (counts[book].chapters[chapter] || 0) + 1;
+            }
+        }
+    }
+    return counts;
+}
+
+// ===== DISPLAY =====
+
+// "John 3:16", "Romans 8:28-39", "Psalms 23", "Genesis 1:1-2:3"
+function formatReference(reference) {
+    const start = `${reference.book} ${reference.chapter}`;
+    if (reference.verse === null || reference.verse === undefined) {
+        return reference.endChapter !== reference.chapter ? `${start}-${reference.endChapter}` : start;
+    }
+    if (reference.endChapter !== reference.chapter) {
+        return `${start}:${reference.verse}-${reference.endChapter}:${reference.endVerse}`;
+    }
+    return reference.endVerse !== reference.verse
+        ? `${start}:${reference.verse}-${reference.endVerse}`
+        : `${start}:${reference.verse}`;
+}
+
+// The browse page for the reference's first chapter
+function referenceLink(reference) {
+    const book = BOOKS_BY_NAME.get(reference.book);
+    return book ? `/scripture/${book.slug}/${reference.chapter}` : '/scripture';
+}
+
+function bookBySlug(slug) {
+    return BOOKS_BY_SLUG.get(String(slug || '').toLowerCase()) || null;
+}
+
+module.exports = {
+    BOOKS,
+    findReferences,
+    messageReferences,
+    coversChapter,
+    countReferences,
+    formatReference,
+    referenceLink,
+    bookBySlug
+};
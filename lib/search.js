@@ -0,0 +1,282 @@
+// ===== MESSAGE SEARCH =====
+// Turns what was typed into a search box into a query, ranks messages
+// against it and splits text into highlighted parts for the views.
+//
+// Query syntax:
+//   grace faith          messages containing every word, in any field
+//   "born again"         the exact phrase
+//   author:ade           author contains "ade" (quote names: author:"John Ade")
+//   code:pf              code contains "pf"
+//   series:faith-walk    messages in a series, by slug or title
+//   from:2024-01-01      on or after a date; to:2024-12-31 on or before it
+//   date:2024            within a year, month (2024-03) or day (2024-03-10)
+//
+// Words match whole words or the start of one ("forgiv" finds "forgiveness"),
+// in MongoDB as well as locally (see repositories/message-repository.js).
+// Every word and phrase adds the weight of each field it's found in, so a
+// word in the title counts for more than the same word deep in the PDF.
+
+const FIELD_WEIGHTS = {
+    title: 10,
+    code: 8,
+    author: 5,
+    description: 3,
+    pdf: 1
+};
+const PREFIX_FACTOR = 0.5; // "forgiv" in "forgiveness" vs. a whole word
+const PHRASE_FACTOR = 2;
+const MAX_PDF_PAGES_SCORED = 5; // a word on many pages shouldn't swamp the title
+
+const MAX_QUERY_LENGTH = 200;
+const MAX_TERMS = 10;
+const MIN_PREFIX_LENGTH = 3;
+const STOP_WORDS = new Set(['a', 'an', 'and', 'at', 'by', 'for', 'in', 'is', 'of', 'on', 'or', 'the', 'to', 'with']);
+
+const FILTERS = ['author', 'code', 'series', 'from', 'to', 'date'];
+
+// Lowercased words without accents
+function tokenize(text) {
+    return String(text || '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+// ===== PARSING =====
+
+// "2024", "2024-03" or "2024-03-10" as the UTC range [start, end), or null
+function dateRange(value) {
+    const match = /^(\d{4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?$/.exec(value);
+    if (!match) return null;
+
+    const year = Number(match[1]);
+    const month = match[2] ? Number(match[2]) - 1 : null;
+    const day = match[3] ? Number(match[3]) : null;
+    if (month !== null && (month < 0 || month > 11)) return null;
+
+    let start;
+    let end;
+    if (day !== null) {
+        start = new Date(Date.UTC(year, month, day));
+        if (start.getUTCMonth() !== month) return null; // e.g. 2024-02-31
+        end = new Date(Date.UTC(year, month, day + 1));
+    } else if (month !== null) {
+        start = new Date(Date.UTC(year, month, 1));
+        end = new Date(Date.UTC(year, month + 1, 1));
+    } else {
+        start = new Date(Date.UTC(year, 0, 1));
+        end = new Date(Date.UTC(year + 1, 0, 1));
+    }
+    return { start, end };
+}
+
+// { text, terms, phrases, filters: { author, code, series, from, to }, problems, isEmpty }
+// `terms` are single words and `phrases` arrays of words; `from` is inclusive
+// and `to` exclusive. Filters that can't be understood are skipped and
+// explained in `problems`. The caller looks up `series` and sets
+// `filters.seriesId` before ranking.
+function parseQuery(input) {
+    const text = String(input || '').trim().slice(0, MAX_QUERY_LENGTH);
+    const query = { text: text, terms: [], phrases: [], filters: {}, problems: [] };
+    const words = [];
+
+    const pattern = /(\w+):"([^"]*)"?|(\w+):(\S+)|"([^"]*)"?|(\S+)/g;
+    let match;
+    while ((match = pattern.exec(text))) {
+        const key = (match[1] || match[3] || '').toLowerCase();
+        const value = (match[2] !== undefined ? match[2] : match[4] || '').trim();
+
+        if (FILTERS.includes(key)) {
+            if (!value) continue;
+            if (key === 'author' || key === 'code' || key === 'series') {
+                query.filters[key] = value;
+                continue;
+            }
+
+            const range = dateRange(value);
+            if (!range) {
+                query.problems.push(`"${value}" isn't a date (use YYYY, YYYY-MM or YYYY-MM-DD)`);
+            } else if (key === 'from') {
+                query.filters.from = range.start;
+            } else if (key === 'to') {
+                query.filters.to = range.end;
+            } else {
+                query.filters.from = range.start;
+                query.filters.to = range.end;
+            }
+        } else if (match[5] !== undefined) {
+            const phrase = tokenize(match[5]);
+            if (phrase.length > 1) {
+                query.phrases.push(phrase);
+            } else {
+                words.push(...phrase);
+            }
+        } else {
+            // Unknown "key:value" pairs (such as "John 3:16") are plain words
+            words.push(...tokenize(match[0]));
+        }
+    }
+
+    // Common words only count when they're all that was typed
+    const meaningful = words.filter(word => !STOP_WORDS.has(word));
+    query.terms = [...new Set(meaningful.length ? meaningful : words)].slice(0, MAX_TERMS);
+    query.phrases = query.phrases.slice(0, MAX_TERMS);
+
+    query.isEmpty = !query.terms.length && !query.phrases.length && !Object.keys(query.filters).length;
+    return query;
+}
+
+// Every word of the query (terms and phrase words), e.g. for database lookups
+function queryWords(query) {
+    return [...new Set([...query.terms, ...query.phrases.flat()])];
+}
+
+// ===== MATCHING & RANKING =====
+
+function matchesFilters(message, filters) {
+    const normalized = value => tokenize(value).join(' ');
+    if (filters.author && !normalized(message.author).includes(normalized(filters.author))) return false;
+    if (filters.code && !String(message.code || '').toLowerCase().includes(filters.code.toLowerCase())) return false;
+    if (filters.series && String(message.series || '') !== filters.seriesId) return false;
+
+    const date = new Date(message.date);
+    if (filters.from && !(date >= filters.from)) return false;
+    if (filters.to && !(date < filters.to)) return false;
+    return true;
+}
+
+// How well one block of text matches a word: 1 whole word, PREFIX_FACTOR for
+// the start of a word, 0 otherwise
+function termMatch(tokens, term) {
+    if (tokens.includes(term)) return 1;
+    if (term.length >= MIN_PREFIX_LENGTH && tokens.some(token => token.startsWith(term))) return PREFIX_FACTOR;
+    return 0;
+}
+
+function phraseMatch(tokens, phrase) {
+    return ` ${tokens.join(' ')} `.includes(` ${phrase.join(' ')} `) ? PHRASE_FACTOR : 0;
+}
+
+// Score for one word or phrase across all fields, 0 when it isn't found
+function needleScore(fields, matcher) {
+    let score = 0;
+    for (const [field, weight] of Object.entries(FIELD_WEIGHTS)) {
+        if (field === 'pdf') {
+            const hits = fields.pdf.map(matcher).filter(Boolean).slice(0, MAX_PDF_PAGES_SCORED);
+            score += weight * hits.reduce((sum, hit) => sum + hit, 0);
+        } else {
+            score += weight * matcher(fields[field]);
+        }
+    }
+    return score;
+}
+
+// Relevance of `message` for `query`, or 0 when it doesn't match at all
+function scoreMessage(message, query) {
+    if (!matchesFilters(message, query.filters)) return 0;
+
+    const fields = {
+        title: tokenize(message.title),
+        code: tokenize(message.code),
+        author: tokenize(message.author),
+        description: tokenize(message.description),
+        pdf: ((message.pdfText && message.pdfText.pages) || []).map(tokenize)
+    };
+
+    // Filters alone match everything they let through
+    let total = query.terms.length || query.phrases.length ? 0 : 1;
+    for (const term of query.terms) {
+        const score = needleScore(fields, tokens => termMatch(tokens, term));
+        if (!score) return 0;
+        total += score;
+    }
+    for (const phrase of query.phrases) {
+        const score = needleScore(fields, tokens => phraseMatch(tokens, phrase));
+        if (!score) return 0;
+        total += score;
+    }
+    return total;
+}
+
+// The matching messages, best first (newest first among equals)
+function rankMessages(messages, query) {
+    return messages
+        .map(message => ({ message: message, score: scoreMessage(message, query) }))
+        .filter(result => result.score > 0)
+        .sort((a, b) => b.score - a.score || new Date(b.message.date) - new Date(a.message.date))
+        .map(result => result.message);
+}
+
+// { items, page, pages, total, perPage } for the 1-based `page`
+function paginate(items, page, perPage) {
+    const pages = Math.max(1, Math.ceil(items.length / perPage));
+    const current = Math.min(Math.max(1, parseInt(page) || 1), pages);
+    return {
+        items: items.slice((current - 1) * perPage, current * perPage),
+        page: current,
+        pages: pages,
+        total: items.length,
+        perPage: perPage
+    };
+}
+
+// ===== HIGHLIGHTING =====
+
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Split `text` into [{ text, match }] parts, marking where a word or phrase
+// of the query starts a word. Views print the parts with <%= %>, so nothing
+// typed into the search box ever becomes HTML.
+function highlight(text, query) {
+    text = String(text || '');
+    const needles = [...query.phrases.map(phrase => phrase.join(' ')), ...query.terms]
+        .sort((a, b) => b.length - a.length)
+        .map(needle => needle.split(' ').map(escapeRegex).join('[^\\p{L}\\p{N}]+'));
+    if (!needles.length || !text) return [{ text: text, match: false }];
+
+    const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(?:${needles.join('|')})`, 'giu');
+    const parts = [];
+    let position = 0;
+    for (const found of text.matchAll(pattern)) {
+        if (found.index > position) {
+            parts.push({ text: text.slice(position, found.index), match: false });
+        }
+        parts.push({ text: found[0], match: true });
+        position = found.index + found[0].length;
+    }
+    if (position < text.length) {
+        parts.push({ text: text.slice(position), match: false });
+    }
+    return parts;
+}
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+// highlight() as escaped HTML, for views that print it with <%- %> or put
+// it into innerHTML
+function highlightHtml(text, query) {
+    return highlight(text, query)
+        .map(part => part.match
+            ? `<span class="search-highlight">${escapeHtml(part.text)}</span>`
+            : escapeHtml(part.text))
+        .join('');
+}
+
+module.exports = {
+    tokenize,
+    parseQuery,
+    queryWords,
+    matchesFilters,
+    scoreMessage,
+    rankMessages,
+    paginate,
+    highlight,
+    highlightHtml
+};
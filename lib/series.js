@@ -0,0 +1,56 @@
+// ===== SERIES HELPERS =====
+// Slugs for /series/<slug> links and the bits of a series page that are
+// worked out from its parts (the messages in it, in order).
+
+const MAX_SLUG_LENGTH = 60;
+
+// "Faith & Works (Part 2)" -> "faith-works-part-2"
+function slugify(text) {
+    return String(text || '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, MAX_SLUG_LENGTH)
+        .replace(/-+$/, '');
+}
+
+// `slugify(text)`, with "-2", "-3"... added until `isTaken(slug)` is false.
+// `fallback` is used when nothing in the text can go in a link.
+async function uniqueSlug(text, isTaken, fallback = 'series') {
+    const base = slugify(text) || fallback;
+    let slug = base;
+    for (let number = 2; await isTaken(slug); number++) {
+        slug = `${base}-${number}`;
+    }
+    return slug;
+}
+
+// The series' own dates, or else the first and last part's
+function seriesDates(series, parts) {
+    const dates = parts.map(part => new Date(part.date)).sort((a, b) => a - b);
+    return {
+        start: series.startDate ? new Date(series.startDate) : dates[0] || null,
+        end: series.endDate ? new Date(series.endDate) : dates[dates.length - 1] || null
+    };
+}
+
+// The part at 1-based `number` with the ones either side of it, or null
+function partWithNeighbours(parts, number) {
+    const index = parseInt(number) - 1;
+    if (!(index >= 0 && index < parts.length)) return null;
+    return {
+        number: index + 1,
+        part: parts[index],
+        previous: index > 0 ? { number: index, part: parts[index - 1] } : null,
+        next: index < parts.length - 1 ? { number: index + 2, part: parts[index + 1] } : null
+    };
+}
+
+module.exports = {
+    slugify,
+    uniqueSlug,
+    seriesDates,
+    partWithNeighbours
+};
@@ -0,0 +1,153 @@
+const crypto = require('crypto');
+
+// ===== TOTP (RFC 6238) =====
+// Time-based one-time codes as shown by Google Authenticator, Authy, 1Password
+// and friends: HMAC-SHA1 over the number of 30-second steps since the epoch,
+// truncated to 6 digits (RFC 4226). Secrets are exchanged as base32 text.
+//
+// test/totp.test.js checks the RFC 4226 and RFC 6238 (SHA-1/256/512) vectors.
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const DEFAULTS = {
+    step: 30, // seconds
+    digits: 6,
+    algorithm: 'sha1',
+    window: 1 // also accept the previous/next code for clock drift
+};
+
+function base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+}
+
+function base32Decode(text) {
+    const clean = String(text).toUpperCase().replace(/[\s=-]/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error('Invalid base32 character: ' + char);
+        }
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+}
+
+// 160-bit secret, the size RFC 4226 recommends for SHA-1
+function generateSecret() {
+    return base32Encode(crypto.randomBytes(20));
+}
+
+function toKey(secret) {
+    return Buffer.isBuffer(secret) ? secret : base32Decode(secret);
+}
+
+// RFC 4226 HOTP value for one counter
+function hotp(secret, counter, { digits = DEFAULTS.digits, algorithm = DEFAULTS.algorithm } = {}) {
+    const message = Buffer.alloc(8);
+    message.writeBigUInt64BE(BigInt(counter));
+
+    const hmac = crypto.createHmac(algorithm, toKey(secret)).update(message).digest();
+    const offset = hmac[hmac.length - 1] & 15;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+    return String(binary % 10 ** digits).padStart(digits, '0');
+}
+
+function timeStep(time = Date.now(), step = DEFAULTS.step) {
+    return Math.floor(time / 1000 / step);
+}
+
+// The code for `time` (milliseconds, defaults to now)
+function totp(secret, options = {}) {
+    const { time = Date.now(), step = DEFAULTS.step } = options;
+    return hotp(secret, timeStep(time, step), options);
+}
+
+// The time step the code belongs to, or null if it doesn't match. Callers
+// keep the last step they accepted and pass it as `after` so a code can't be
+// used twice.
+function verifyTotp(secret, code, options = {}) {
+    const { time = Date.now(), step = DEFAULTS.step, window = DEFAULTS.window, after = -1 } = options;
+    const digits = options.digits || DEFAULTS.digits;
+    const clean = String(code || '').replace(/\s/g, '');
+    if (!new RegExp(`^\\d{${digits}}$`).test(clean)) return null;
+
+    const current = timeStep(time, step);
+    for (let counter = current - window; counter <= current + window; counter++) {
+        if (counter <= after) continue;
+        const expected = Buffer.from(hotp(secret, counter, options));
+        if (crypto.timingSafeEqual(expected, Buffer.from(clean))) {
+            return counter;
+        }
+    }
+    return null;
+}
+
+// The otpauth:// link authenticator apps read from the QR code
+function otpauthUri({ secret, account, issuer }) {
+    const label = encodeURIComponent(`${issuer}:${account}`);
+    const params = new URLSearchParams({
+        secret: secret,
+        issuer: issuer,
+        algorithm: DEFAULTS.algorithm.toUpperCase(),
+        digits: String(DEFAULTS.digits),
+        period: String(DEFAULTS.step)
+    });
+    return `otpauth://totp/${label}?${params}`;
+}
+
+// ===== RECOVERY CODES =====
+// Ten single-use codes like "k7dq-9xwm-2hfp" for when the phone is lost.
+// Only their SHA-256 hashes are stored (see hashToken in lib/passwords.js).
+const RECOVERY_CODE_COUNT = 10;
+const RECOVERY_ALPHABET = 'abcdefghjkmnpqrstuvwxyz23456789'; // no 0/o, 1/l/i
+
+function generateRecoveryCodes(count = RECOVERY_CODE_COUNT) {
+    const codes = [];
+    for (let i = 0; i < count; i++) {
+        let code = '';
+        for (let j = 0; j < 12; j++) {
+            code += RECOVERY_ALPHABET[crypto.randomInt(RECOVERY_ALPHABET.length)];
+        }
+        codes.push(code.match(/.{4}/g).join('-'));
+    }
+    return codes;
+}
+
+// Recovery codes are compared without dashes, spaces or case
+function normalizeRecoveryCode(code) {
+    return String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+module.exports = {
+    base32Encode,
+    base32Decode,
+    generateSecret,
+    hotp,
+    totp,
+    verifyTotp,
+    otpauthUri,
+    generateRecoveryCodes,
+    normalizeRecoveryCode
+};
@@ -0,0 +1,96 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const multer = require('multer');
+
+// ===== SIZED UPLOAD STORAGE =====
+// A multer storage engine for forms whose fields allow different sizes
+// (a 10MB PDF next to a 500MB video). Each file is refused with multer's
+// LIMIT_FILE_SIZE error as soon as it passes its own field's limit, rather
+// than after the largest limit has been read. Fields for which `toDisk`
+// says so are streamed to a temporary file (`path` on the upload) instead of
+// being kept in memory (`buffer`); removeTempFiles() deletes those once the
+// request is over.
+//
+//   sizedStorage({ maxSize: field => bytes, toDisk: field => boolean, tempDir })
+
+function tempPath(tempDir) {
+    return path.join(tempDir, `upload-${Date.now()}-${crypto.randomBytes(8).toString('hex')}`);
+}
+
+function sizedStorage({ maxSize, toDisk = () => false, tempDir = os.tmpdir() }) {
+    return {
+        _handleFile(req, file, cb) {
+            const limit = maxSize(file.fieldname);
+            const chunks = [];
+            let size = 0;
+            let finished = false;
+            let out = null;
+            let filePath = null;
+
+            function done(err, info) {
+                if (finished) return;
+                finished = true;
+                cb(err, info);
+            }
+
+            // Stop reading, throw away what was kept, and let busboy move on
+            function fail(err) {
+                file.stream.unpipe();
+                file.stream.resume();
+                if (out) {
+                    out.destroy();
+                    fs.unlink(filePath, () => {});
+                }
+                chunks.length = 0;
+                done(err);
+            }
+
+            if (toDisk(file.fieldname)) {
+                fs.mkdirSync(tempDir, { recursive: true });
+                filePath = tempPath(tempDir);
+                out = fs.createWriteStream(filePath);
+                out.on('error', fail);
+                out.on('finish', () => done(null, { path: filePath, size: size }));
+            }
+
+            file.stream.on('data', chunk => {
+                if (finished) return;
+                size += chunk.length;
+                if (size > limit) {
+                    return fail(new multer.MulterError('LIMIT_FILE_SIZE', file.fieldname));
+                }
+                if (!out) chunks.push(chunk);
+            });
+            file.stream.on('error', fail);
+
+            if (out) {
+                file.stream.pipe(out);
+            } else {
+                file.stream.on('end', () => done(null, { buffer: Buffer.concat(chunks), size: size }));
+            }
+        },
+
+        _removeFile(req, file, cb) {
+            delete file.buffer;
+            if (!file.path) return cb(null);
+            fs.unlink(file.path, () => cb(null));
+        }
+    };
+}
+
+// Delete the temporary files of a request's uploads (req.file / req.files)
+function removeTempFiles(req) {
+    const files = [].concat(req.file || [], ...Object.values(req.files || {}));
+    for (const file of files) {
+        if (file.path) {
+            fs.unlink(file.path, () => {});
+        }
+    }
+}
+
+module.exports = {
+    sizedStorage,
+    removeTempFiles
+};
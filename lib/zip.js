@@ -0,0 +1,145 @@
+const zlib = require('zlib');
+
+// ===== ZIP READER =====
+// Just enough of the ZIP format to read an uploaded archive in memory: the
+// central directory at the end of the file lists every entry, and each entry
+// is stored as-is or deflated. ZIP64, encryption and multi-disk archives
+// aren't supported - the archives the import page takes (see
+// lib/bulk-import.js) never need them.
+//
+// Problems with the archive are thrown as errors with code 'BAD_ZIP' and a
+// message that can be shown to the admin.
+
+const END_OF_DIRECTORY = 0x06054b50;
+const DIRECTORY_ENTRY = 0x02014b50;
+const LOCAL_HEADER = 0x04034b50;
+const END_OF_DIRECTORY_SIZE = 22;
+const MAX_COMMENT_LENGTH = 0xffff;
+
+const PEEK_INPUT_SIZE = 1024; // compressed bytes inflated to peek at a file's start
+
+const STORED = 0;
+const DEFLATED = 8;
+const FLAG_ENCRYPTED = 0x1;
+const FLAG_UTF8 = 0x800;
+
+function zipError(message) {
+    return Object.assign(new Error(message), { code: 'BAD_ZIP' });
+}
+
+function findEndOfDirectory(buffer) {
+    const earliest = Math.max(0, buffer.length - END_OF_DIRECTORY_SIZE - MAX_COMMENT_LENGTH);
+    for (let offset = buffer.length - END_OF_DIRECTORY_SIZE; offset >= earliest; offset--) {
+        if (buffer.readUInt32LE(offset) === END_OF_DIRECTORY) return offset;
+    }
+    throw zipError('This file is not a ZIP archive');
+}
+
+// Files the OS adds when zipping a folder ("__MACOSX/...", ".DS_Store")
+function isJunk(name) {
+    const base = name.split('/').pop();
+    return name.startsWith('__MACOSX/') || base.startsWith('._') || base === '.DS_Store' || base === 'Thumbs.db';
+}
+
+// The entries of a ZIP held in `buffer`, as [{ name, size, read(), peek(length) }].
+// Folders and OS junk files are left out. read() returns the entry's bytes,
+// and refuses anything bigger than `maxEntrySize` - checked again while
+// inflating, so a doctored size can't be used to fill the memory. peek()
+// returns just the first bytes (e.g. to check a file's type) without
+// unzipping the rest. Archives whose files add up to more than
+// `maxTotalSize` once unzipped are refused outright.
+function readZip(buffer, { maxEntrySize = Infinity, maxEntries = 10000, maxTotalSize = Infinity } = {}) {
+    if (buffer.length < END_OF_DIRECTORY_SIZE) {
+        throw zipError('This file is not a ZIP archive');
+    }
+
+    const end = findEndOfDirectory(buffer);
+    const count = buffer.readUInt16LE(end + 10);
+    const directoryOffset = buffer.readUInt32LE(end + 16);
+    if (count === 0xffff || directoryOffset === 0xffffffff) {
+        throw zipError('ZIP64 archives are not supported - please make a regular ZIP (under 4GB)');
+    }
+    if (count > maxEntries) {
+        throw zipError(`The ZIP has ${count} files; at most ${maxEntries} can be imported at once`);
+    }
+
+    const entries = [];
+    let totalSize = 0;
+    let offset = directoryOffset;
+    for (let index = 0; index < count; index++) {
+        if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== DIRECTORY_ENTRY) {
+            throw zipError('The ZIP archive is damaged (bad central directory)');
+        }
+        const flags = buffer.readUInt16LE(offset + 8);
+        const method = buffer.readUInt16LE(offset + 10);
+        const compressedSize = buffer.readUInt32LE(offset + 20);
+        const size = buffer.readUInt32LE(offset + 24);
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const extraLength = buffer.readUInt16LE(offset + 30);
+        const commentLength = buffer.readUInt16LE(offset + 32);
+        const headerOffset = buffer.readUInt32LE(offset + 42);
+        const name = buffer.toString(flags & FLAG_UTF8 ? 'utf8' : 'latin1', offset + 46, offset + 46 + nameLength)
+            .replace(/\\/g, '/');
+        offset += 46 + nameLength + extraLength + commentLength;
+
+        if (name.endsWith('/') || isJunk(name)) continue;
+
+        totalSize += size;
+        if (totalSize > maxTotalSize) {
+            throw zipError(`The files in the ZIP add up to more than ${Math.round(maxTotalSize / 1024 / 1024)}MB unzipped - split it into smaller ZIPs`);
+        }
+
+        // The entry's stored (possibly compressed) bytes
+        const compressed = () => {
+            if (flags & FLAG_ENCRYPTED) {
+                throw zipError(`"${name}" is password-protected`);
+            }
+            if (method !== STORED && method !== DEFLATED) {
+                throw zipError(`"${name}" uses a compression method that isn't supported`);
+            }
+            if (headerOffset + 30 > buffer.length || buffer.readUInt32LE(headerOffset) !== LOCAL_HEADER) {
+                throw zipError(`The ZIP archive is damaged ("${name}" can't be found)`);
+            }
+            const start = headerOffset + 30 + buffer.readUInt16LE(headerOffset + 26) + buffer.readUInt16LE(headerOffset + 28);
+            return buffer.subarray(start, start + compressedSize);
+        };
+
+        entries.push({
+            name: name,
+            size: size,
+            read() {
+                if (size > maxEntrySize) {
+                    throw zipError(`"${name}" is too large`);
+                }
+                const data = compressed();
+                if (method === STORED) {
+                    return Buffer.from(data);
+                }
+                try {
+                    return zlib.inflateRawSync(data, { maxOutputLength: Math.max(size, 1) });
+                } catch (err) {
+                    throw zipError(`"${name}" could not be unzipped (${err.message})`);
+                }
+            },
+            peek(length) {
+                const data = compressed();
+                if (method === STORED) {
+                    return Buffer.from(data.subarray(0, length));
+                }
+                try {
+                    // Inflate only the first compressed bytes; a sync flush
+                    // returns what they hold instead of failing on the rest
+                    const start = zlib.inflateRawSync(data.subarray(0, PEEK_INPUT_SIZE), { finishFlush: zlib.constants.Z_SYNC_FLUSH });
+                    return start.subarray(0, length);
+                } catch (err) {
+                    throw zipError(`"${name}" could not be unzipped (${err.message})`);
+                }
+            }
+        });
+    }
+    return entries;
+}
+
+module.exports = {
+    readZip
+};
@@ -0,0 +1,44 @@
+const fs = require('fs');
+const path = require('path');
+
+// ===== 001: BACKFILL PDF UPLOADS =====
+// Messages from before PDFs were stored in the database only point at a file
+// under public/uploads (`filePath`). Copy those files into blob storage.
+// Replaces the old GET /migrate-pdfs route.
+
+module.exports = {
+    description: 'Copy PDFs referenced by filePath from public/uploads into blob storage',
+
+    async up({ models, repositories, rootDir, dryRun, log }) {
+        const messages = await models.Message.find({ filePath: { $ne: '' } });
+        let migrated = 0;
+        let missing = 0;
+
+        for (const message of messages) {
+            if (!message.filePath || (message.pdfFile && message.pdfFile.size)) continue;
+
+            const filePath = path.join(rootDir, 'public', message.filePath);
+            if (!fs.existsSync(filePath)) {
+                log(`⚠️ File not found for "${message.title}": ${message.filePath}`);
+                missing++;
+                continue;
+            }
+
+            if (!dryRun) {
+                const fileBuffer = fs.readFileSync(filePath);
+                await repositories.messages.update(message._id, {
+                    pdfFile: {
+                        data: fileBuffer,
+                        contentType: 'application/pdf',
+                        filename: path.basename(message.filePath),
+                        size: fileBuffer.length
+                    }
+                });
+            }
+            log(`${dryRun ? 'Would migrate' : 'Migrated'} PDF for: ${message.title}`);
+            migrated++;
+        }
+
+        return `${migrated} PDFs ${dryRun ? 'to migrate' : 'migrated'}, ${missing} files missing`;
+    }
+};
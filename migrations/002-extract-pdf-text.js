@@ -0,0 +1,45 @@
+const { extractPdfText } = require('../lib/pdf-text');
+
+// ===== 002: EXTRACT PDF TEXT =====
+// Search looks inside sermon PDFs using the text pulled out at upload time.
+// Pull it out of the PDFs uploaded before that.
+
+async function readAll(stream) {
+    const chunks = [];
+    for await (const chunk of stream) {
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+}
+
+module.exports = {
+    description: 'Extract the text of existing sermon PDFs so search can look inside them',
+
+    async up({ models, repositories, dryRun, log }) {
+        const messages = await models.Message.find({
+            pdfFile: { $ne: null },
+            'pdfText.extractedAt': { $exists: false }
+        });
+        let extracted = 0;
+        let failed = 0;
+
+        for (const message of messages) {
+            const pdf = await repositories.messages.openBinary(message, 'pdfFile');
+            if (!pdf) continue;
+
+            if (!dryRun) {
+                const pdfText = await extractPdfText(await readAll(await pdf.createReadStream()));
+                await repositories.messages.update(message._id, { pdfText: pdfText });
+                if (pdfText.error) {
+                    log(`⚠️ Could not read "${message.title}": ${pdfText.error}`);
+                    failed++;
+                    continue;
+                }
+            }
+            log(`${dryRun ? 'Would extract' : 'Extracted'} text for: ${message.title}`);
+            extracted++;
+        }
+
+        return `${extracted} PDFs ${dryRun ? 'to extract' : 'extracted'}, ${failed} unreadable`;
+    }
+};
@@ -0,0 +1,29 @@
+const { messageReferences } = require('../lib/scripture');
+
+// ===== 003: DETECT SCRIPTURE REFERENCES =====
+// /scripture lists sermons by the passages found in their description and
+// PDF when they're saved. Find them in the sermons saved before that.
+
+module.exports = {
+    description: 'Find the Bible references in existing sermons for the browse-by-scripture pages',
+
+    async up({ models, repositories, dryRun, log }) {
+        const messages = await models.Message.find({ scriptureRefs: { $exists: false } }).select('+pdfText.pages');
+        let withReferences = 0;
+
+        for (const message of messages) {
+            const pages = message.pdfText && message.pdfText.pages;
+            const scriptureRefs = messageReferences(message.description, pages);
+
+            if (!dryRun) {
+                await repositories.messages.update(message._id, { scriptureRefs: scriptureRefs });
+            }
+            if (scriptureRefs.length) {
+                log(`${dryRun ? 'Would add' : 'Added'} ${scriptureRefs.length} references to: ${message.title}`);
+                withReferences++;
+            }
+        }
+
+        return `${messages.length} messages checked, ${withReferences} ${dryRun ? 'would have' : 'have'} references`;
+    }
+};
@@ -0,0 +1,28 @@
+const INDEX_NAME = 'message_search';
+
+// ===== 004: REBUILD SEARCH INDEX =====
+// Search finds its candidates with the `message_search` text index. Databases
+// from before ranked search have an index of that name with other weights,
+// which MongoDB won't let the new definition replace - drop it and build the
+// current one.
+
+module.exports = {
+    description: 'Replace the message_search text index with the one ranked search uses',
+
+    async up({ models, dryRun, log }) {
+        const collection = models.Message.collection;
+        const indexes = await collection.indexes().catch(() => []); // no collection yet
+        const existing = indexes.find(index => index.name === INDEX_NAME);
+
+        if (dryRun) {
+            return existing ? `Would rebuild the ${INDEX_NAME} index` : `Would build the ${INDEX_NAME} index`;
+        }
+
+        if (existing) {
+            await collection.dropIndex(INDEX_NAME);
+            log(`Dropped the old ${INDEX_NAME} index`);
+        }
+        await models.Message.createIndexes();
+        return `${existing ? 'Rebuilt' : 'Built'} the ${INDEX_NAME} index`;
+    }
+};
@@ -0,0 +1,69 @@
+// ===== MIGRATION CLI =====
+// Usage:
+//   npm run migrate                     apply pending migrations
+//   npm run migrate -- --dry-run        show what pending migrations would do
+//   npm run migrate -- status           list migrations and when they ran
+const path = require('path');
+const rootDir = path.join(__dirname, '..');
+require('dotenv').config({ path: path.join(rootDir, '.env') });
+
+const mongoose = require('mongoose');
+const models = require('../models');
+const { createMongoRepositories } = require('../repositories');
+const GridFsBlobStore = require('../storage/gridfs-blob-store');
+const MigrationRunner = require('./runner');
+const { mongoUri } = require('../lib/mongo-uri');
+
+const MONGODB_URI = mongoUri();
+
+async function main(args) {
+    const command = args.find(arg => !arg.startsWith('--')) || 'up';
+    const dryRun = args.includes('--dry-run');
+
+    if (!['up', 'status'].includes(command)) {
+        throw new Error(`Unknown command "${command}" (expected "up" or "status")`);
+    }
+    if (!MONGODB_URI) {
+        throw new Error('MONGO_URI is not set (or not mongodb+srv://) - migrations only run against the MongoDB the server uses');
+    }
+
+    await mongoose.connect(MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+
+    try {
+        const runner = new MigrationRunner({
+            Migration: models.Migration,
+            context: {
+                models: models,
+                repositories: createMongoRepositories(models, new GridFsBlobStore(mongoose.connection)),
+                rootDir: rootDir
+            }
+        });
+
+        if (command === 'status') {
+            for (const migration of await runner.status()) {
+                const state = migration.applied
+                    ? `applied ${migration.applied.ranAt.toISOString()}`
+                    : 'pending';
+                console.log(`${migration.applied ? '✅' : '⏳'} ${migration.name} - ${state}`);
+            }
+            return;
+        }
+
+        const results = await runner.run({ dryRun: dryRun });
+        if (results.length === 0) {
+            console.log('👍 No pending migrations');
+        } else if (dryRun) {
+            console.log(`🧪 Dry run complete - ${results.length} migrations would run, nothing was changed`);
+        } else {
+            console.log(`🎉 Applied ${results.length} migrations`);
+        }
+    } finally {
+        await mongoose.disconnect();
+    }
+}
+
+main(process.argv.slice(2)).catch(err => {
+    console.log('❌ Migration failed:', err.message);
+    process.exitCode = 1;
+});
@@ -0,0 +1,88 @@
+const fs = require('fs');
+const path = require('path');
+
+// ===== MIGRATION RUNNER =====
+// Migrations are the numbered scripts in this folder ("001-some-change.js"),
+// applied once each, in order. Every script exports
+//   { description, up: async (context) => 'summary of what changed' }
+// and is recorded in the `migrations` collection once it has run.
+//
+// `context` is whatever the caller hands in (models, repositories, rootDir),
+// plus `dryRun` and `log`. In a dry run, scripts must report what they would
+// do without writing anything, and nothing is recorded.
+
+const MIGRATION_FILE = /^\d{3}-[\w-]+\.js$/;
+
+class MigrationRunner {
+    constructor({ Migration, context = {}, dir = __dirname, log = console.log }) {
+        this.Migration = Migration;
+        this.context = context;
+        this.dir = dir;
+        this.log = log;
+    }
+
+    // All migration scripts, oldest first
+    load() {
+        return fs.readdirSync(this.dir)
+            .filter(file => MIGRATION_FILE.test(file))
+            .sort()
+            .map(file => {
+                const script = require(path.join(this.dir, file));
+                return {
+                    name: path.basename(file, '.js'),
+                    description: script.description || '',
+                    up: script.up
+                };
+            });
+    }
+
+    async status() {
+        const applied = await this.Migration.find({});
+        const byName = new Map(applied.map(record => [record.name, record]));
+
+        return this.load().map(migration => ({
+            name: migration.name,
+            description: migration.description,
+            applied: byName.get(migration.name) || null
+        }));
+    }
+
+    async pending() {
+        const migrations = await this.status();
+        return migrations.filter(migration => !migration.applied);
+    }
+
+    // Apply pending migrations in order, stopping at the first failure
+    async run({ dryRun = false } = {}) {
+        const scripts = new Map(this.load().map(migration => [migration.name, migration]));
+        const results = [];
+
+        for (const { name, description } of await this.pending()) {
+            this.log(`${dryRun ? '🧪 [dry run]' : '🚚'} ${name}: ${description}`);
+
+            const started = Date.now();
+            const summary = await scripts.get(name).up({
+                ...this.context,
+                dryRun: dryRun,
+                log: message => this.log(`   ${message}`)
+            });
+            const durationMs = Date.now() - started;
+
+            if (!dryRun) {
+                await this.Migration.create({
+                    name: name,
+                    description: description,
+                    summary: summary || '',
+                    ranAt: new Date(),
+                    durationMs: durationMs
+                });
+            }
+
+            this.log(`✅ ${name}: ${summary || 'done'} (${durationMs}ms)`);
+            results.push({ name: name, summary: summary || '', durationMs: durationMs });
+        }
+        return results;
+    }
+}
+
+module.exports = MigrationRunner;
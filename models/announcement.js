@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+// ===== ANNOUNCEMENT SCHEMA =====
+const announcementSchema = new mongoose.Schema({
+    title: { 
+        type: String, 
+        required: true,
+        maxlength: 100
+    },
+    content: { 
+        type: String, 
+        required: true,
+        maxlength: 500
+    },
+    priority: { 
+        type: Number, 
+        min: 1, 
+        max: 5, 
+        default: 3 
+    },
+    type: { 
+        type: String, 
+        enum: ['sticker', 'banner', 'announcement'], 
+        default: 'announcement' 
+    },
+    backgroundColor: { 
+        type: String, 
+        default: '#000000dc' 
+    },
+    textColor: { 
+        type: String, 
+        default: '#ffffff' 
+    },
+    imageFile: {
+        blobKey: String, // bytes live in blob storage (GridFS)
+        data: { type: Buffer, select: false }, // legacy inline bytes
+        contentType: String,
+        filename: String,
+        size: Number,
+        width: Number,
+        height: Number,
+        variants: { // resized WebP copies, see lib/image-variants.js
+            type: [{
+                _id: false,
+                name: String,
+                width: Number,
+                height: Number,
+                blobKey: String,
+                contentType: String,
+                size: Number
+            }],
+            default: undefined // no empty imageFile on records without an image
+        }
+    },
+    featured: { 
+        type: Boolean, 
+        default: false 
+    },
+    active: { 
+        type: Boolean, 
+        default: true 
+    },
+    expiresAt: { 
+        type: Date 
+    }, // Optional expiration (hidden from users)
+    displayOrder: { 
+        type: Number, 
+        default: 0 
+    }
+}, { 
+    timestamps: true 
+});
+
+module.exports = mongoose.model('Announcement', announcementSchema);
@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+// ===== API TOKEN SCHEMA =====
+// Personal access tokens for scripts (see lib/api-tokens.js). Only the
+// SHA-256 of the token is stored.
+const apiTokenSchema = new mongoose.Schema({
+    name: { type: String, required: true }, // what it's for, e.g. "Recording booth"
+    userId: { type: String, required: true },
+    username: { type: String, required: true },
+    scopes: [String], // e.g. "messages:write"
+    tokenHash: { type: String, required: true, unique: true },
+    preview: { type: String, default: '' }, // first characters, to tell tokens apart
+    expiresAt: { type: Date }, // none = never expires
+    revokedAt: { type: Date },
+    revokedBy: { type: String },
+    lastUsedAt: { type: Date },
+    lastUsedIp: { type: String }
+}, {
+    timestamps: true
+});
+
+module.exports = mongoose.model('ApiToken', apiTokenSchema);
@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// ===== AUDIT ENTRY SCHEMA =====
+// One admin action: who did what to which record, and which fields changed.
+// Values in `changes` are stored as short display strings (see lib/audit.js).
+const auditEntrySchema = new mongoose.Schema({
+    actor: { type: String, default: '' }, // username
+    actorId: { type: String, default: '' },
+    action: { type: String, required: true, index: true }, // e.g. "message.delete"
+    targetType: { type: String, default: '' }, // "message", "event", "announcement", "user", ...
+    targetId: { type: String, default: '' },
+    targetTitle: { type: String, default: '' },
+    changes: [{
+        _id: false,
+        field: String,
+        before: String,
+        after: String
+    }],
+    ip: { type: String, default: '' },
+    apiToken: { type: String, default: '' } // preview of the API token used, if any
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+auditEntrySchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('AuditEntry', auditEntrySchema);
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// ===== EVENT SCHEMA =====
+const eventSchema = new mongoose.Schema({
+    title: { type: String, required: true },
+    date: { type: Date, required: true },
+    endDate: { type: Date }, // NEW: For multi-day events
+    venue: { type: String, required: true },
+    description: { type: String, required: true },
+    imagePath: { type: String, default: '' },
+    imageFile: {
+        blobKey: String, // bytes live in blob storage (GridFS)
+        data: { type: Buffer, select: false }, // legacy inline bytes
+        contentType: String,
+        filename: String,
+        size: Number,
+        width: Number,
+        height: Number,
+        variants: { // resized WebP copies, see lib/image-variants.js
+            type: [{
+                _id: false,
+                name: String,
+                width: Number,
+                height: Number,
+                blobKey: String,
+                contentType: String,
+                size: Number
+            }],
+            default: undefined // no empty imageFile on records without an image
+        }
+    },
+    link: { type: String, default: '' },
+    featured: { type: Boolean, default: false },
+    active: { type: Boolean, default: true },
+    category: { type: String, default: 'general' },
+    preacher: { type: String } // id of the Preacher ministering, if any
+}, {
+    timestamps: true
+});
+
+module.exports = mongoose.model('Event', eventSchema);
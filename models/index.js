@@ -0,0 +1,26 @@
+// ===== MODELS =====
+const Message = require('./message');
+const Event = require('./event');
+const Announcement = require('./announcement');
+const Migration = require('./migration');
+const User = require('./user');
+const LoginLockout = require('./login-lockout');
+const AuditEntry = require('./audit-entry');
+const Setting = require('./setting');
+const ApiToken = require('./api-token');
+const Series = require('./series');
+const Preacher = require('./preacher');
+
+module.exports = {
+    Message,
+    Event,
+    Announcement,
+    Migration,
+    User,
+    LoginLockout,
+    AuditEntry,
+    Setting,
+    ApiToken,
+    Series,
+    Preacher
+};
@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+
+// ===== LOGIN LOCKOUT SCHEMA =====
+// A record of each time too many failed logins locked out an IP address or a
+// username (see lib/login-throttle.js)
+const loginLockoutSchema = new mongoose.Schema({
+    key: { type: String, required: true }, // "ip:<address>" or "user:<username>"
+    failures: { type: Number, default: 0 },
+    lockedUntil: { type: Date, required: true },
+    ip: { type: String, default: '' }, // where the attempt that caused it came from
+    liftedAt: { type: Date },
+    liftedBy: { type: String }
+}, {
+    timestamps: true
+});
+
+module.exports = mongoose.model('LoginLockout', loginLockoutSchema);
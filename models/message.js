@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+// ===== MESSAGE SCHEMA =====
+const messageSchema = new mongoose.Schema({
+    title: { type: String, required: true },
+    code: { type: String, required: true },
+    date: { type: Date, required: true },
+    author: { type: String, required: true },
+    description: { type: String, required: true },
+    filePath: { type: String, default: '' },
+    pdfFile: {
+        blobKey: String, // bytes live in blob storage (GridFS)
+        data: { type: Buffer, select: false }, // legacy inline bytes
+        contentType: String,
+        filename: String,
+        size: Number
+    },
+    // Sermon recordings (see lib/media.js); duration is in seconds
+    audioFile: {
+        blobKey: String,
+        contentType: String,
+        filename: String,
+        size: Number,
+        duration: Number
+    },
+    videoFile: {
+        blobKey: String,
+        contentType: String,
+        filename: String,
+        size: Number,
+        duration: Number
+    },
+    // Text of the PDF, one string per page, for search (see lib/pdf-text.js).
+    // Left out of queries unless asked for, like the legacy file bytes.
+    pdfText: {
+        pages: { type: [String], select: false, default: undefined },
+        pageCount: Number,
+        extractedAt: Date,
+        error: String // e.g. "Invalid PDF structure."
+    },
+    series: { type: String }, // id of the Series this message belongs to, if any
+    seriesPart: { type: Number }, // orders the messages within the series
+    preacher: { type: String }, // id of the Preacher, once `author` has been linked to one
+    // Bible references found in the description and PDF (see lib/scripture.js);
+    // verse and endVerse are null when a reference names whole chapters
+    scriptureRefs: {
+        type: [{
+            _id: false,
+            book: String, // e.g. "1 Corinthians"
+            chapter: Number,
+            verse: Number,
+            endChapter: Number,
+            endVerse: Number,
+            source: { type: String, enum: ['description', 'pdf'] }
+        }],
+        default: undefined
+    },
+    featured: { type: Boolean, default: false },
+    // Drafts stay hidden and scheduled messages appear at publishAt (see
+    // lib/publishing.js); messages without a status are published
+    status: { type: String, enum: ['draft', 'scheduled', 'published'], default: 'published' },
+    publishAt: { type: Date }
+}, {
+    timestamps: true
+});
+
+messageSchema.index({ 'scriptureRefs.book': 1, 'scriptureRefs.chapter': 1 });
+
+// $text index that finds search candidates (see MongoMessageRepository.search);
+// the weights follow FIELD_WEIGHTS in lib/search.js. Migration 004 replaces
+// an index of the same name built with older options.
+messageSchema.index({
+    title: 'text',
+    description: 'text',
+    author: 'text',
+    code: 'text',
+    'pdfText.pages': 'text'
+}, {
+    name: 'message_search',
+    weights: { title: 10, code: 8, author: 5, description: 3, 'pdfText.pages': 1 }
+});
+
+module.exports = mongoose.model('Message', messageSchema);
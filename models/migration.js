@@ -0,0 +1,13 @@
+const mongoose = require('mongoose');
+
+// ===== MIGRATION SCHEMA =====
+// One document per migration script that has been applied (see migrations/)
+const migrationSchema = new mongoose.Schema({
+    name: { type: String, required: true, unique: true }, // e.g. "001-backfill-pdf-uploads"
+    description: { type: String, default: '' },
+    summary: { type: String, default: '' }, // what the migration reported doing
+    ranAt: { type: Date, default: Date.now },
+    durationMs: { type: Number, default: 0 }
+});
+
+module.exports = mongoose.model('Migration', migrationSchema, 'migrations');
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// ===== PREACHER SCHEMA =====
+// Someone who preaches. Messages and events point at their preacher with
+// `preacher` (the preacher id); a message's `author` is kept as the
+// preacher's name so older pages and scripts still have it. `aliases` are
+// the other spellings of the name that were merged into this preacher.
+const preacherSchema = new mongoose.Schema({
+    name: { type: String, required: true, maxlength: 100 },
+    slug: { type: String, required: true, unique: true, lowercase: true, trim: true }, // /preachers/<slug>
+    role: { type: String, default: '', maxlength: 100 }, // e.g. "Senior Pastor"
+    bio: { type: String, default: '' },
+    aliases: { type: [String], default: [] },
+    photoFile: {
+        blobKey: String, // bytes live in blob storage (GridFS)
+        contentType: String,
+        filename: String,
+        size: Number,
+        width: Number,
+        height: Number,
+        variants: { // resized WebP copies, see lib/image-variants.js
+            type: [{
+                _id: false,
+                name: String,
+                width: Number,
+                height: Number,
+                blobKey: String,
+                contentType: String,
+                size: Number
+            }],
+            default: undefined // no empty photoFile on preachers without a photo
+        }
+    }
+}, {
+    timestamps: true
+});
+
+module.exports = mongoose.model('Preacher', preacherSchema);
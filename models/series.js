@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// ===== SERIES SCHEMA =====
+// A run of sermons taught over several weeks. Messages point at their series
+// with `series` (the series id) and `seriesPart` (their place in it).
+const seriesSchema = new mongoose.Schema({
+    title: { type: String, required: true, maxlength: 120 },
+    slug: { type: String, required: true, unique: true, lowercase: true, trim: true }, // /series/<slug>
+    description: { type: String, default: '' },
+    startDate: { type: Date },
+    endDate: { type: Date },
+    artworkFile: {
+        blobKey: String, // bytes live in blob storage (GridFS)
+        contentType: String,
+        filename: String,
+        size: Number,
+        width: Number,
+        height: Number,
+        variants: { // resized WebP copies, see lib/image-variants.js
+            type: [{
+                _id: false,
+                name: String,
+                width: Number,
+                height: Number,
+                blobKey: String,
+                contentType: String,
+                size: Number
+            }],
+            default: undefined // no empty artworkFile on series without artwork
+        }
+    }
+}, {
+    timestamps: true
+});
+
+module.exports = mongoose.model('Series', seriesSchema);
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// ===== SETTING SCHEMA =====
+// Site-wide switches owners can change from the admin panel, one document
+// per key (e.g. "requireTwoFactor"). A setting can also hold an image, such
+// as the podcast artwork.
+const settingSchema = new mongoose.Schema({
+    key: { type: String, required: true, unique: true },
+    value: { type: mongoose.Schema.Types.Mixed },
+    file: {
+        blobKey: String, // bytes live in blob storage (GridFS)
+        contentType: String,
+        filename: String,
+        size: Number,
+        width: Number,
+        height: Number,
+        variants: { // resized WebP copies, see lib/image-variants.js
+            type: [{
+                _id: false,
+                name: String,
+                width: Number,
+                height: Number,
+                contentType: String,
+                size: Number,
+                blobKey: String
+            }],
+            default: undefined
+        }
+    },
+    updatedBy: { type: String, default: '' }
+}, {
+    timestamps: true
+});
+
+module.exports = mongoose.model('Setting', settingSchema);
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+const { ROLES } = require('../lib/permissions');
+
+// ===== USER SCHEMA =====
+// Admin accounts. New users are invited by an owner and choose their own
+// password from the invite link; passwords are stored as scrypt hashes
+// (see lib/passwords.js). Two-factor sign-in is optional per user unless an
+// owner turns on the requireTwoFactor setting (see lib/totp.js).
+const userSchema = new mongoose.Schema({
+    username: { type: String, required: true, unique: true, lowercase: true, trim: true },
+    name: { type: String, default: '' },
+    email: { type: String, default: '' },
+    role: {
+        type: String,
+        enum: Object.keys(ROLES), // see lib/permissions.js
+        default: 'admin'
+    },
+    status: {
+        type: String,
+        enum: ['invited', 'active', 'disabled'],
+        default: 'invited'
+    },
+    passwordHash: { type: String, default: '' },
+    invite: {
+        tokenHash: String, // SHA-256 of the token in the invite link
+        expiresAt: Date,
+        invitedBy: String
+    },
+    twoFactor: {
+        enabled: { type: Boolean, default: false },
+        secret: String, // base32 TOTP secret
+        lastUsedStep: Number, // time step of the last accepted code, so codes can't be replayed
+        recoveryCodes: [String], // SHA-256 hashes of the unused recovery codes
+        enabledAt: Date
+    },
+    lastLoginAt: { type: Date }
+}, {
+    timestamps: true
+});
+
+module.exports = mongoose.model('User', userSchema);
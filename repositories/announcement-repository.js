@@ -0,0 +1,62 @@
+const MongoRepository = require('./mongo-repository');
+const MemoryRepository = require('./memory-repository');
+
+// ===== ANNOUNCEMENT REPOSITORY =====
+// Both adapters expose:
+//   list({ sort, limit }), listActive(limit), findById(id),
+//   create(data), update(id, changes), delete(id), toggleActive(id)
+
+const ANNOUNCEMENT_SORT = {
+    display: { featured: -1, priority: -1, createdAt: -1 }
+};
+
+class MongoAnnouncementRepository extends MongoRepository {
+    constructor(Model, options = {}) {
+        super(Model, { name: 'announcements', binaryFields: ['imageFile'], ...options });
+    }
+
+    async listActive(limit) {
+        return this.query({
+            active: true,
+            $or: [
+                { expiresAt: null },
+                { expiresAt: { $gt: new Date() } }
+            ]
+        }, { sort: ANNOUNCEMENT_SORT.display, limit });
+    }
+
+    async toggleActive(id) {
+        const announcement = await this.findById(id);
+        if (!announcement) return null;
+
+        announcement.active = !announcement.active;
+        return announcement.save();
+    }
+}
+
+class MemoryAnnouncementRepository extends MemoryRepository {
+    constructor(records, options = {}) {
+        super(records, { name: 'announcements', binaryFields: ['imageFile'], ...options });
+    }
+
+    async listActive(limit) {
+        const now = new Date();
+        return this.query(
+            ann => ann.active && (!ann.expiresAt || new Date(ann.expiresAt) > now),
+            { sort: ANNOUNCEMENT_SORT.display, limit }
+        );
+    }
+
+    async toggleActive(id) {
+        const index = this.indexOf(id);
+        if (index === -1) return null;
+
+        return this.update(id, { active: !this.records[index].active });
+    }
+}
+
+module.exports = {
+    ANNOUNCEMENT_SORT,
+    MongoAnnouncementRepository,
+    MemoryAnnouncementRepository
+};
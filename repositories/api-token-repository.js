@@ -0,0 +1,46 @@
+const MongoRepository = require('./mongo-repository');
+const MemoryRepository = require('./memory-repository');
+
+// ===== API TOKEN REPOSITORY =====
+// Both adapters expose:
+//   list({ sort, limit }), findById(id), findByHash(tokenHash),
+//   listForUser(userId), create(data), update(id, changes)
+
+const API_TOKEN_SORT = {
+    newest: { createdAt: -1 }
+};
+
+class MongoApiTokenRepository extends MongoRepository {
+    constructor(Model, options = {}) {
+        super(Model, { name: 'apiTokens', ...options });
+    }
+
+    async findByHash(tokenHash) {
+        return this.findOne({ tokenHash: tokenHash });
+    }
+
+    async listForUser(userId) {
+        return this.query({ userId: String(userId) }, { sort: API_TOKEN_SORT.newest });
+    }
+}
+
+class MemoryApiTokenRepository extends MemoryRepository {
+    constructor(records, options = {}) {
+        super(records, { name: 'apiTokens', ...options });
+    }
+
+    async findByHash(tokenHash) {
+        const [token] = this.query(token => token.tokenHash === tokenHash);
+        return token || null;
+    }
+
+    async listForUser(userId) {
+        return this.query(token => token.userId === String(userId), { sort: API_TOKEN_SORT.newest });
+    }
+}
+
+module.exports = {
+    API_TOKEN_SORT,
+    MongoApiTokenRepository,
+    MemoryApiTokenRepository
+};
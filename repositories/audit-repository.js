@@ -0,0 +1,98 @@
+const MongoRepository = require('./mongo-repository');
+const MemoryRepository = require('./memory-repository');
+
+// ===== AUDIT REPOSITORY =====
+// Both adapters expose:
+//   create(data), count(),
+//   search(filters, { limit, skip }) -> { entries, total }
+// where filters are { actor, action, targetType, targetId, q, from, to }.
+// `q` matches the target's title or id; `from`/`to` are Dates (inclusive).
+//
+// Offline, audit.json is rewritten on every entry, so only the newest
+// MAX_LOCAL_ENTRIES are kept there.
+
+const AUDIT_SORT = {
+    newest: { createdAt: -1 }
+};
+
+const MAX_LOCAL_ENTRIES = 5000;
+
+function escapeRegex(text) {
+    return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+class MongoAuditRepository extends MongoRepository {
+    constructor(Model, options = {}) {
+        super(Model, { name: 'audit', ...options });
+    }
+
+    buildFilter({ actor, action, targetType, targetId, q, from, to } = {}) {
+        const filter = {};
+        if (actor) filter.actor = actor;
+        if (action) filter.action = action;
+        if (targetType) filter.targetType = targetType;
+        if (targetId) filter.targetId = String(targetId);
+        if (q) {
+            const pattern = new RegExp(escapeRegex(q), 'i');
+            filter.$or = [{ targetTitle: pattern }, { targetId: pattern }];
+        }
+        if (from || to) {
+            filter.createdAt = {};
+            if (from) filter.createdAt.$gte = from;
+            if (to) filter.createdAt.$lte = to;
+        }
+        return filter;
+    }
+
+    async search(filters, { limit, skip = 0 } = {}) {
+        const filter = this.buildFilter(filters);
+        let query = this.query(filter, { sort: AUDIT_SORT.newest }).skip(skip);
+        if (limit) {
+            query = query.limit(limit);
+        }
+        const [entries, total] = await Promise.all([query, this.Model.countDocuments(filter)]);
+        return { entries: entries, total: total };
+    }
+}
+
+class MemoryAuditRepository extends MemoryRepository {
+    constructor(records, options = {}) {
+        super(records, { name: 'audit', ...options });
+    }
+
+    // Entries are kept newest first; the oldest make room for the new one
+    async create(data) {
+        if (this.records.length >= MAX_LOCAL_ENTRIES) {
+            this.records.length = MAX_LOCAL_ENTRIES - 1;
+        }
+        return super.create(data);
+    }
+
+    matcher({ actor, action, targetType, targetId, q, from, to } = {}) {
+        const needle = q ? String(q).toLowerCase() : '';
+        return entry => {
+            if (actor && entry.actor !== actor) return false;
+            if (action && entry.action !== action) return false;
+            if (targetType && entry.targetType !== targetType) return false;
+            if (targetId && String(entry.targetId) !== String(targetId)) return false;
+            if (needle && !`${entry.targetTitle} ${entry.targetId}`.toLowerCase().includes(needle)) return false;
+
+            const createdAt = new Date(entry.createdAt);
+            if (from && createdAt < from) return false;
+            if (to && createdAt > to) return false;
+            return true;
+        };
+    }
+
+    async search(filters, { limit, skip = 0 } = {}) {
+        const matches = this.query(this.matcher(filters), { sort: AUDIT_SORT.newest });
+        const end = limit ? skip + limit : undefined;
+        return { entries: matches.slice(skip, end), total: matches.length };
+    }
+}
+
+module.exports = {
+    AUDIT_SORT,
+    MongoAuditRepository,
+    MemoryAuditRepository
+};
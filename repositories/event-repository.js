@@ -0,0 +1,65 @@
+const MongoRepository = require('./mongo-repository');
+const MemoryRepository = require('./memory-repository');
+
+// ===== EVENT REPOSITORY =====
+// Both adapters expose:
+//   list({ sort, limit }), listActive(limit), findById(id),
+//   create(data), update(id, changes), delete(id), unfeature(id),
+//   listForPreacher(preacherId), clearPreacher(preacherId)
+
+const EVENT_SORT = {
+    soonest: { date: 1 },
+    latest: { date: -1 }
+};
+
+class MongoEventRepository extends MongoRepository {
+    constructor(Model, options = {}) {
+        super(Model, { name: 'events', binaryFields: ['imageFile'], ...options });
+    }
+
+    async listActive(limit) {
+        return this.query({ active: true }, { sort: EVENT_SORT.soonest, limit });
+    }
+
+    async listForPreacher(preacherId) {
+        return this.query({ active: true, preacher: String(preacherId) }, { sort: EVENT_SORT.soonest });
+    }
+
+    async clearPreacher(preacherId) {
+        await this.Model.updateMany({ preacher: String(preacherId) }, { $unset: { preacher: 1 } });
+    }
+
+    async unfeature(id) {
+        return this.update(id, { featured: false });
+    }
+}
+
+class MemoryEventRepository extends MemoryRepository {
+    constructor(records, options = {}) {
+        super(records, { name: 'events', binaryFields: ['imageFile'], ...options });
+    }
+
+    async listActive(limit) {
+        return this.query(event => event.active, { sort: EVENT_SORT.soonest, limit });
+    }
+
+    async listForPreacher(preacherId) {
+        return this.query(event => event.active && event.preacher === String(preacherId), { sort: EVENT_SORT.soonest });
+    }
+
+    async clearPreacher(preacherId) {
+        for (const event of this.query(event => event.preacher === String(preacherId))) {
+            await this.update(event._id, { preacher: null });
+        }
+    }
+
+    async unfeature(id) {
+        return this.update(id, { featured: false });
+    }
+}
+
+module.exports = {
+    EVENT_SORT,
+    MongoEventRepository,
+    MemoryEventRepository
+};
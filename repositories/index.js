@@ -0,0 +1,109 @@
+const path = require('path');
+const JsonCollection = require('../storage/json-collection');
+const LocalBlobStore = require('../storage/local-blob-store');
+const GridFsBlobStore = require('../storage/gridfs-blob-store');
+const { MESSAGE_SORT, MongoMessageRepository, MemoryMessageRepository } = require('./message-repository');
+const { EVENT_SORT, MongoEventRepository, MemoryEventRepository } = require('./event-repository');
+const { ANNOUNCEMENT_SORT, MongoAnnouncementRepository, MemoryAnnouncementRepository } = require('./announcement-repository');
+const { USER_SORT, MongoUserRepository, MemoryUserRepository } = require('./user-repository');
+const { LOCKOUT_SORT, MongoLockoutRepository, MemoryLockoutRepository } = require('./lockout-repository');
+const { AUDIT_SORT, MongoAuditRepository, MemoryAuditRepository } = require('./audit-repository');
+const { MongoSettingRepository, MemorySettingRepository } = require('./setting-repository');
+const { API_TOKEN_SORT, MongoApiTokenRepository, MemoryApiTokenRepository } = require('./api-token-repository');
+const { SERIES_SORT, MongoSeriesRepository, MemorySeriesRepository } = require('./series-repository');
+const { PREACHER_SORT, MongoPreacherRepository, MemoryPreacherRepository } = require('./preacher-repository');
+
+// ===== REPOSITORIES =====
+// Routes ask for `repositories.messages` (etc.) and get the MongoDB adapter
+// while the connection is up, or the local storage adapter otherwise.
+//
+// File bytes (PDFs, recordings, images) are kept out of the records: in GridFS while
+// connected, under <dataDir>/blobs otherwise. Local storage is kept in
+//   <dataDir>/messages.json, events.json, announcements.json, users.json,
+//   series.json, preachers.json
+// A `journal` (SyncJournal) is told about every local create/delete so the
+// sync service can replay them. Login lockouts (lockouts.json), the audit
+// log (audit.json, its newest entries only), settings (settings.json) and API tokens (apiTokens.json)
+// are not synced; API tokens can't be created or revoked offline for that
+// reason (see lib/api-tokens.js).
+function createLocalRepositories(seed, dataDir, journal, blobStore) {
+    const options = name => ({
+        journal: journal,
+        blobStore: blobStore,
+        collection: new JsonCollection(path.join(dataDir, `${name}.json`))
+    });
+
+    return {
+        messages: new MemoryMessageRepository(seed.messages, options('messages')),
+        events: new MemoryEventRepository(seed.events, options('events')),
+        announcements: new MemoryAnnouncementRepository(seed.announcements, options('announcements')),
+        users: new MemoryUserRepository(seed.users, options('users')),
+        series: new MemorySeriesRepository(seed.series, options('series')),
+        preachers: new MemoryPreacherRepository(seed.preachers, options('preachers')),
+        lockouts: new MemoryLockoutRepository([], { ...options('lockouts'), journal: null }),
+        audit: new MemoryAuditRepository([], { ...options('audit'), journal: null }),
+        settings: new MemorySettingRepository([], { ...options('settings'), journal: null }),
+        apiTokens: new MemoryApiTokenRepository([], { ...options('apiTokens'), journal: null })
+    };
+}
+
+// MongoDB adapters on their own (used by the migration CLI, which has no
+// local storage)
+function createMongoRepositories(models, blobStore) {
+    return {
+        messages: new MongoMessageRepository(models.Message, { blobStore: blobStore }),
+        events: new MongoEventRepository(models.Event, { blobStore: blobStore }),
+        announcements: new MongoAnnouncementRepository(models.Announcement, { blobStore: blobStore }),
+        users: new MongoUserRepository(models.User),
+        series: new MongoSeriesRepository(models.Series, { blobStore: blobStore }),
+        preachers: new MongoPreacherRepository(models.Preacher, { blobStore: blobStore }),
+        lockouts: new MongoLockoutRepository(models.LoginLockout),
+        audit: new MongoAuditRepository(models.AuditEntry),
+        settings: new MongoSettingRepository(models.Setting, { blobStore: blobStore }),
+        apiTokens: new MongoApiTokenRepository(models.ApiToken)
+    };
+}
+
+function createRepositories({ connection, models, seed = {}, dataDir, journal }) {
+    const blobStores = {
+        mongo: new GridFsBlobStore(connection),
+        local: new LocalBlobStore(path.join(dataDir, 'blobs'))
+    };
+
+    const mongo = createMongoRepositories(models, blobStores.mongo);
+    const local = createLocalRepositories(seed, dataDir, journal, blobStores.local);
+
+    const isConnected = () => connection.readyState === 1;
+    const current = () => (isConnected() ? mongo : local);
+
+    return {
+        isConnected,
+        mongo,
+        local,
+        blobStores,
+        get messages() { return current().messages; },
+        get events() { return current().events; },
+        get announcements() { return current().announcements; },
+        get users() { return current().users; },
+        get series() { return current().series; },
+        get preachers() { return current().preachers; },
+        get lockouts() { return current().lockouts; },
+        get audit() { return current().audit; },
+        get settings() { return current().settings; },
+        get apiTokens() { return current().apiTokens; }
+    };
+}
+
+module.exports = {
+    createRepositories,
+    createMongoRepositories,
+    MESSAGE_SORT,
+    EVENT_SORT,
+    ANNOUNCEMENT_SORT,
+    USER_SORT,
+    LOCKOUT_SORT,
+    AUDIT_SORT,
+    API_TOKEN_SORT,
+    SERIES_SORT,
+    PREACHER_SORT
+};
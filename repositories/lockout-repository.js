@@ -0,0 +1,49 @@
+const MongoRepository = require('./mongo-repository');
+const MemoryRepository = require('./memory-repository');
+
+// ===== LOGIN LOCKOUT REPOSITORY =====
+// Both adapters expose:
+//   list({ sort, limit }), create(data), update(id, changes),
+//   liftActive(key, liftedBy)
+
+const LOCKOUT_SORT = {
+    newest: { createdAt: -1 }
+};
+
+class MongoLockoutRepository extends MongoRepository {
+    constructor(Model, options = {}) {
+        super(Model, { name: 'lockouts', ...options });
+    }
+
+    // Mark the key's unexpired lockouts as lifted
+    async liftActive(key, liftedBy) {
+        const result = await this.Model.updateMany(
+            { key: key, liftedAt: null, lockedUntil: { $gt: new Date() } },
+            { liftedAt: new Date(), liftedBy: liftedBy }
+        );
+        return result.modifiedCount;
+    }
+}
+
+class MemoryLockoutRepository extends MemoryRepository {
+    constructor(records, options = {}) {
+        super(records, { name: 'lockouts', ...options });
+    }
+
+    async liftActive(key, liftedBy) {
+        const now = new Date();
+        const active = this.query(lockout =>
+            lockout.key === key && !lockout.liftedAt && new Date(lockout.lockedUntil) > now
+        );
+        for (const lockout of active) {
+            await this.update(lockout._id, { liftedAt: now, liftedBy: liftedBy });
+        }
+        return active.length;
+    }
+}
+
+module.exports = {
+    LOCKOUT_SORT,
+    MongoLockoutRepository,
+    MemoryLockoutRepository
+};
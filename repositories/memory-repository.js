@@ -0,0 +1,181 @@
+const { compareBySpec } = require('./sort');
+const { storeBinaries, loadBinaries, deleteBinaries, openBinary } = require('../storage/binary-fields');
+
+// ===== LOCAL REPOSITORY (FALLBACK) =====
+// Mirrors the MongoRepository API over a plain array. Records are copied on
+// the way in and out so callers can't mutate the store by accident.
+//
+// Options:
+//   name          - collection name ("messages", ...), also the blob key prefix
+//   collection    - JsonCollection to load from and save to after every write
+//   blobStore     - LocalBlobStore for the bytes of `binaryFields`
+//   binaryFields  - file fields ({ blobKey, contentType, filename, size }),
+//                   see storage/binary-fields.js
+//   journal       - SyncJournal told about records created/deleted here
+//
+// Without a collection/blob store everything stays in memory.
+class MemoryRepository {
+    constructor(records = [], options = {}) {
+        this.collection = options.collection || null;
+        this.blobStore = options.blobStore || null;
+        this.name = options.name || 'records';
+        this.binaryFields = options.binaryFields || [];
+        this.journal = options.journal || null;
+        this.lastId = 0;
+
+        const hasSavedData = this.collection && this.collection.exists();
+        this.records = (hasSavedData ? this.collection.load() : records).map(record => ({ ...record }));
+
+        if (this.collection && !hasSavedData) {
+            this.persist();
+        }
+    }
+
+    generateId() {
+        // Keep the Date.now() string ids the temp storage has always used,
+        // but never hand out the same one twice.
+        this.lastId = Math.max(Date.now(), this.lastId + 1);
+        return this.lastId.toString();
+    }
+
+    persist() {
+        if (this.collection) {
+            this.collection.save(this.records);
+        }
+    }
+
+    indexOf(id) {
+        return this.records.findIndex(record => String(record._id) === String(id));
+    }
+
+    async storeBinaries(id, data, existing) {
+        if (!this.blobStore) return data;
+        return storeBinaries(this.blobStore, {
+            prefix: this.name,
+            id: id,
+            fields: this.binaryFields,
+            data: data,
+            existing: existing
+        });
+    }
+
+    // Read file bytes back into `data` (used when syncing a record to MongoDB)
+    async loadBinaries(record) {
+        if (!this.blobStore || !record) return record;
+        return loadBinaries(this.blobStore, this.binaryFields, record);
+    }
+
+    // Describe one of a record's files (e.g. 'pdfFile') for streaming,
+    // or one of its resized variants when `variantName` is given
+    async openBinary(record, field, variantName) {
+        if (!this.blobStore || !record) return null;
+        return openBinary(this.blobStore, record[field], variantName);
+    }
+
+    query(predicate, { sort, limit } = {}) {
+        let results = predicate ? this.records.filter(predicate) : [...this.records];
+        if (sort) {
+            results.sort(compareBySpec(sort));
+        }
+        if (limit) {
+            results = results.slice(0, limit);
+        }
+        return results.map(record => ({ ...record }));
+    }
+
+    async list(options = {}) {
+        return this.query(null, options);
+    }
+
+    async count() {
+        return this.records.length;
+    }
+
+    async findById(id) {
+        const index = this.indexOf(id);
+        return index === -1 ? null : { ...this.records[index] };
+    }
+
+    async create(data) {
+        const now = new Date();
+        const id = this.generateId();
+        const record = {
+            ...(await this.storeBinaries(id, data)),
+            _id: id,
+            createdAt: now,
+            updatedAt: now
+        };
+        this.records.unshift(record);
+        this.persist();
+        if (this.journal) {
+            this.journal.recordCreate(this.name, id);
+        }
+        return { ...record };
+    }
+
+    // Like MongoRepository#createMany: nothing is added unless every record
+    // (and its files) could be stored
+    async createMany(records) {
+        const now = new Date();
+        const created = [];
+        try {
+            for await (const data of records) {
+                const id = this.generateId();
+                created.push({
+                    ...(await this.storeBinaries(id, data)),
+                    _id: id,
+                    createdAt: now,
+                    updatedAt: now
+                });
+            }
+        } catch (err) {
+            if (this.blobStore) {
+                for (const record of created) {
+                    await deleteBinaries(this.blobStore, this.binaryFields, record).catch(() => {});
+                }
+            }
+            throw err;
+        }
+
+        // Newest first, as if create() had been called for each in turn
+        this.records.unshift(...[...created].reverse());
+        this.persist();
+        if (this.journal) {
+            for (const record of created) {
+                this.journal.recordCreate(this.name, record._id);
+            }
+        }
+        return created.map(record => ({ ...record }));
+    }
+
+    async update(id, changes) {
+        const index = this.indexOf(id);
+        if (index === -1) return null;
+
+        const existing = this.records[index];
+        this.records[index] = {
+            ...existing,
+            ...(await this.storeBinaries(existing._id, changes, existing)),
+            updatedAt: new Date()
+        };
+        this.persist();
+        return { ...this.records[index] };
+    }
+
+    async delete(id) {
+        const index = this.indexOf(id);
+        if (index === -1) return null;
+
+        const [removed] = this.records.splice(index, 1);
+        this.persist();
+        if (this.blobStore) {
+            await deleteBinaries(this.blobStore, this.binaryFields, removed);
+        }
+        if (this.journal) {
+            this.journal.recordDelete(this.name, removed._id);
+        }
+        return removed;
+    }
+}
+
+module.exports = MemoryRepository;
@@ -0,0 +1,367 @@
+const MongoRepository = require('./mongo-repository');
+const MemoryRepository = require('./memory-repository');
+const { queryWords, scoreMessage } = require('../lib/search');
+const { coversChapter, countReferences } = require('../lib/scripture');
+const { isPublished } = require('../lib/publishing');
+
+// ===== MESSAGE REPOSITORY =====
+// Both adapters expose:
+//   list({ sort, limit }), count(), search(query, { published }), findById(id),
+//   create(data), createMany(records), update(id, changes), delete(id),
+//   setFeatured(id), unfeature(id),
+//   listSeriesParts(seriesId), clearSeries(seriesId),
+//   browse(filters, { sort, limit, skip }) -> { messages, total },
+//   facets(filters) -> { authors, years },
+//   unlinkedAuthors() -> [{ author, count }],
+//   linkPreacher(authors, preacher) -> number of messages linked,
+//   renamePreacher(preacherId, name), clearPreacher(preacherId),
+//   scriptureIndex({ published }) -> counts by book and chapter (see lib/scripture.js),
+//   listForScripture(book, chapter?) -> messages, newest first
+//
+// search() takes a query from lib/search.js and returns the messages that
+// might match it, with `pdfText.pages`, for rankMessages() to score and sort.
+// `published` leaves out drafts and scheduled messages before the candidates
+// are cut to MAX_SEARCH_CANDIDATES, like it does for browse().
+// In MongoDB the candidates come from the `message_search` text index (whole,
+// stemmed words) best first, then from the fields themselves for the starts
+// of words the index can't find, up to MAX_SEARCH_CANDIDATES; only those are
+// loaded with their PDF text. Both adapters find the same messages, except
+// that MongoDB doesn't ignore accents (see searchWordsFilter()).
+//
+// browse() pages through the archive; filters are { author, year, code,
+// seriesId, preacherId, hasPdf, featured, published }. `author` is matched
+// whole and `code` from its start, both ignoring case. `published` leaves
+// out drafts and messages scheduled for later (see lib/publishing.js).
+// facets() lists the preachers and years to filter by.
+//
+// Messages are linked to a Preacher with the admin merge tool:
+// unlinkedAuthors() lists the author spellings not linked yet, and
+// linkPreacher() points every message by those exact spellings at the
+// preacher, renaming `author` to the preacher's name.
+//
+// listForScripture() finds the messages whose `scriptureRefs` cover a
+// chapter of a book (by its full name, e.g. "1 Corinthians"), or any part
+// of the book when no chapter is given.
+
+const MESSAGE_SORT = {
+    newest: { date: -1 },
+    oldest: { date: 1 },
+    byTitle: { title: 1, date: -1 },
+    byAuthor: { author: 1, date: -1 },
+    featuredFirst: { featured: -1, date: -1 },
+    seriesOrder: { seriesPart: 1, date: 1 }
+};
+
+// Title and author sorts ignore case in MongoDB too, like the local sort
+const CASE_INSENSITIVE = { locale: 'en', strength: 2 };
+
+// The PDF and the recordings (see lib/media.js)
+const MESSAGE_FILE_FIELDS = ['pdfFile', 'audioFile', 'videoFile'];
+
+const SEARCH_FIELDS = ['title', 'description', 'author', 'code', 'pdfText.pages'];
+const MAX_SEARCH_CANDIDATES = 200;
+
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Messages with every word somewhere in a searched field, ignoring case: all
+// that scoreMessage() could match (words are found anywhere, not only at the
+// start of one), for rankMessages() to narrow down. Accents still count here,
+// so "cafe" doesn't find "Café" in MongoDB.
+function searchWordsFilter(words) {
+    return {
+        $and: words.map(word => ({
+            $or: SEARCH_FIELDS.map(field => ({ [field]: { $regex: escapeRegex(word), $options: 'i' } }))
+        }))
+    };
+}
+
+// [start, end) of a calendar year, in UTC like the search date filters
+function yearRange(year) {
+    return { start: new Date(Date.UTC(year, 0, 1)), end: new Date(Date.UTC(year + 1, 0, 1)) };
+}
+
+function hasPdf(message) {
+    return Boolean(message.pdfFile || message.filePath);
+}
+
+class MongoMessageRepository extends MongoRepository {
+    constructor(Model, options = {}) {
+        super(Model, { name: 'messages', binaryFields: MESSAGE_FILE_FIELDS, ...options });
+    }
+
+    async search(query, { published } = {}) {
+        const filter = this.buildBrowseFilter({ published: published });
+        if (query.filters.author) filter.author = { $regex: escapeRegex(query.filters.author), $options: 'i' };
+        if (query.filters.code) filter.code = { $regex: escapeRegex(query.filters.code), $options: 'i' };
+        if (query.filters.seriesId) filter.series = query.filters.seriesId;
+        if (query.filters.from || query.filters.to) {
+            filter.date = {};
+            if (query.filters.from) filter.date.$gte = query.filters.from;
+            if (query.filters.to) filter.date.$lt = query.filters.to;
+        }
+
+        // Filters alone need no ranking, so no PDF text either
+        const words = queryWords(query);
+        if (!words.length) {
+            return this.query(filter);
+        }
+
+        // Best text-index matches first; ids only, so PDF text is read for
+        // the candidates alone
+        let ranked = [];
+        try {
+            ranked = await this.Model.find({ ...filter, $text: { $search: words.join(' ') } })
+                .select({ _id: 1, score: { $meta: 'textScore' } })
+                .sort({ score: { $meta: 'textScore' } })
+                .limit(MAX_SEARCH_CANDIDATES)
+                .lean();
+        } catch (err) {
+            // The index is built in the background after the first deploy
+            console.log('⚠️ Text search unavailable, searching fields directly:', err.message);
+        }
+
+        // The index only knows whole words, so the rest ("grac" for "grace")
+        // come from the fields themselves, as in the local search
+        const ids = ranked.map(candidate => candidate._id);
+        if (ids.length < MAX_SEARCH_CANDIDATES) {
+            const others = await this.Model.find({ $and: [filter, searchWordsFilter(words), { _id: { $nin: ids } }] })
+                .select('_id')
+                .limit(MAX_SEARCH_CANDIDATES - ids.length)
+                .lean();
+            ids.push(...others.map(candidate => candidate._id));
+        }
+
+        return this.query({ _id: { $in: ids } }).select('+pdfText.pages');
+    }
+
+    buildBrowseFilter({ author, year, code, seriesId, preacherId, hasPdf, featured, published } = {}) {
+        const filter = {};
+        if (published) {
+            filter.$and = [
+                { status: { $ne: 'draft' } },
+                { $or: [{ publishAt: null }, { publishAt: { $lte: new Date() } }] }
+            ];
+        }
+        if (featured) filter.featured = true;
+        if (preacherId) filter.preacher = String(preacherId);
+        if (author) filter.author = { $regex: `^${escapeRegex(author)}$`, $options: 'i' };
+        if (code) filter.code = { $regex: `^${escapeRegex(code)}`, $options: 'i' };
+        if (seriesId) filter.series = String(seriesId);
+        if (year) {
+            const range = yearRange(year);
+            filter.date = { $gte: range.start, $lt: range.end };
+        }
+        if (hasPdf) {
+            filter.$or = [{ pdfFile: { $ne: null } }, { filePath: { $nin: ['', null] } }];
+        }
+        return filter;
+    }
+
+    async browse(filters, { sort = MESSAGE_SORT.newest, limit, skip = 0 } = {}) {
+        const filter = this.buildBrowseFilter(filters);
+        const query = this.query(filter, { sort: sort, limit: limit }).collation(CASE_INSENSITIVE).skip(skip);
+        const [messages, total] = await Promise.all([query, this.Model.countDocuments(filter)]);
+        return { messages: messages, total: total };
+    }
+
+    async facets(filters) {
+        const filter = this.buildBrowseFilter(filters);
+        const [authors, years] = await Promise.all([
+            this.Model.distinct('author', filter),
+            this.Model.aggregate([{ $match: filter }, { $group: { _id: { $year: '$date' } } }])
+        ]);
+        return {
+            authors: authors.filter(Boolean).sort((a, b) => a.localeCompare(b, undefined, { sensitivity: 'base' })),
+            years: years.map(year => year._id).filter(Boolean).sort((a, b) => b - a)
+        };
+    }
+
+    async unlinkedAuthors() {
+        const groups = await this.Model.aggregate([
+            { $match: { preacher: { $in: [null, ''] } } },
+            { $group: { _id: '$author', count: { $sum: 1 } } }
+        ]);
+        return groups
+            .filter(group => group._id)
+            .map(group => ({ author: group._id, count: group.count }))
+            .sort((a, b) => a.author.localeCompare(b.author, undefined, { sensitivity: 'base' }));
+    }
+
+    async linkPreacher(authors, preacher) {
+        const result = await this.Model.updateMany(
+            { author: { $in: authors } },
+            { preacher: String(preacher._id), author: preacher.name }
+        );
+        return result.modifiedCount;
+    }
+
+    async renamePreacher(preacherId, name) {
+        await this.Model.updateMany({ preacher: String(preacherId) }, { author: name });
+    }
+
+    // Unlink every message from a deleted preacher (they keep the name)
+    async clearPreacher(preacherId) {
+        await this.Model.updateMany({ preacher: String(preacherId) }, { $unset: { preacher: 1 } });
+    }
+
+    async scriptureIndex({ published } = {}) {
+        const messages = await this.Model.find({ 'scriptureRefs.0': { $exists: true }, ...this.buildBrowseFilter({ published }) })
+            .select('scriptureRefs');
+        return countReferences(messages);
+    }
+
+    async listForScripture(book, chapter) {
+        const filter = chapter === undefined
+            ? { 'scriptureRefs.book': book }
+            : { scriptureRefs: { $elemMatch: { book: book, chapter: { $lte: chapter }, endChapter: { $gte: chapter } } } };
+        return this.query(filter, { sort: MESSAGE_SORT.newest });
+    }
+
+    async listSeriesParts(seriesId) {
+        return this.query({ series: String(seriesId) }, { sort: MESSAGE_SORT.seriesOrder });
+    }
+
+    // Take every message out of a deleted series
+    async clearSeries(seriesId) {
+        await this.Model.updateMany({ series: String(seriesId) }, { $unset: { series: 1, seriesPart: 1 } });
+    }
+
+    async setFeatured(id) {
+        if (!this.isValidId(id)) return null;
+        const message = await this.Model.findById(id);
+        if (!message) return null;
+
+        // Only one message can be featured at a time
+        await this.Model.updateMany({ _id: { $ne: message._id } }, { featured: false });
+        message.featured = true;
+        return message.save();
+    }
+
+    async unfeature(id) {
+        return this.update(id, { featured: false });
+    }
+}
+
+class MemoryMessageRepository extends MemoryRepository {
+    constructor(records, options = {}) {
+        super(records, { name: 'messages', binaryFields: MESSAGE_FILE_FIELDS, ...options });
+    }
+
+    async search(query, { published } = {}) {
+        const now = new Date();
+        return this.query(message => (!published || isPublished(message, now)) && scoreMessage(message, query) > 0);
+    }
+
+    browseMatcher({ author, year, code, seriesId, preacherId, hasPdf: withPdf, featured, published } = {}) {
+        const range = year ? yearRange(year) : null;
+        const now = new Date();
+        return message => {
+            if (published && !isPublished(message, now)) return false;
+            if (featured && !message.featured) return false;
+            if (preacherId && message.preacher !== String(preacherId)) return false;
+            if (author && String(message.author || '').toLowerCase() !== author.toLowerCase()) return false;
+            if (code && !String(message.code || '').toLowerCase().startsWith(code.toLowerCase())) return false;
+            if (seriesId && message.series !== String(seriesId)) return false;
+            if (withPdf && !hasPdf(message)) return false;
+
+            const date = new Date(message.date);
+            if (range && !(date >= range.start && date < range.end)) return false;
+            return true;
+        };
+    }
+
+    async browse(filters, { sort = MESSAGE_SORT.newest, limit, skip = 0 } = {}) {
+        const matches = this.query(this.browseMatcher(filters), { sort: sort });
+        const end = limit ? skip + limit : undefined;
+        return { messages: matches.slice(skip, end), total: matches.length };
+    }
+
+    async facets(filters) {
+        const authors = new Map(); // lowercased -> first spelling seen
+        const years = new Set();
+        for (const message of this.records.filter(this.browseMatcher(filters))) {
+            if (message.author && !authors.has(message.author.toLowerCase())) {
+                authors.set(message.author.toLowerCase(), message.author);
+            }
+            const year = new Date(message.date).getUTCFullYear();
+            if (year) years.add(year);
+        }
+        return {
+            authors: [...authors.values()].sort((a, b) => a.localeCompare(b, undefined, { sensitivity: 'base' })),
+            years: [...years].sort((a, b) => b - a)
+        };
+    }
+
+    async unlinkedAuthors() {
+        const counts = new Map();
+        for (const message of this.records) {
+            if (message.author && !message.preacher) {
+                counts.set(message.author, (counts.get(message.author) || 0) + 1);
+            }
+        }
+        return [...counts]
+            .map(([author, count]) => ({ author: author, count: count }))
+            .sort((a, b) => a.author.localeCompare(b.author, undefined, { sensitivity: 'base' }));
+    }
+
+    async linkPreacher(authors, preacher) {
+        const matches = this.query(message => authors.includes(message.author));
+        for (const message of matches) {
+            await this.update(message._id, { preacher: String(preacher._id), author: preacher.name });
+        }
+        return matches.length;
+    }
+
+    async renamePreacher(preacherId, name) {
+        for (const message of this.query(message => message.preacher === String(preacherId))) {
+            await this.update(message._id, { author: name });
+        }
+    }
+
+    async clearPreacher(preacherId) {
+        for (const message of this.query(message => message.preacher === String(preacherId))) {
+            await this.update(message._id, { preacher: null });
+        }
+    }
+
+    async scriptureIndex({ published } = {}) {
+        return countReferences(this.records.filter(this.browseMatcher({ published })));
+    }
+
+    async listForScripture(book, chapter) {
+        return this.query(
+            message => (message.scriptureRefs || []).some(reference => coversChapter(reference, book, chapter)),
+            { sort: MESSAGE_SORT.newest }
+        );
+    }
+
+    async listSeriesParts(seriesId) {
+        return this.query(message => message.series === String(seriesId), { sort: MESSAGE_SORT.seriesOrder });
+    }
+
+    async clearSeries(seriesId) {
+        for (const message of this.query(message => message.series === String(seriesId))) {
+            await this.update(message._id, { series: null, seriesPart: null });
+        }
+    }
+
+    async setFeatured(id) {
+        if (this.indexOf(id) === -1) return null;
+
+        this.records.forEach(message => { message.featured = false; });
+        return this.update(id, { featured: true });
+    }
+
+    async unfeature(id) {
+        return this.update(id, { featured: false });
+    }
+}
+
+module.exports = {
+    MESSAGE_SORT,
+    searchWordsFilter,
+    MongoMessageRepository,
+    MemoryMessageRepository
+};
@@ -0,0 +1,146 @@
+const { Readable } = require('stream');
+const mongoose = require('mongoose');
+const { storeBinaries, deleteBinaries, openBinary } = require('../storage/binary-fields');
+
+// ===== MONGODB REPOSITORY =====
+// Thin wrapper over a Mongoose model. Ids that can never be ObjectIds (such as
+// the "1".."4" sample messages) are treated as "not found" instead of throwing
+// a CastError.
+//
+// File fields (`binaryFields`) keep only metadata and a blobKey in the
+// document; the bytes go to `blobStore` (GridFS). Documents saved before that
+// still carry the bytes inline in `<field>.data`, which the schemas exclude
+// from queries (select: false) and openBinary() reads on demand.
+class MongoRepository {
+    constructor(Model, options = {}) {
+        this.Model = Model;
+        this.name = options.name || Model.collection.name;
+        this.blobStore = options.blobStore || null;
+        this.binaryFields = options.binaryFields || [];
+    }
+
+    isValidId(id) {
+        return mongoose.isValidObjectId(id);
+    }
+
+    query(filter, { sort, limit } = {}) {
+        let query = this.Model.find(filter || {});
+        if (sort) {
+            query = query.sort(sort);
+        }
+        if (limit) {
+            query = query.limit(limit);
+        }
+        return query;
+    }
+
+    async list(options = {}) {
+        return this.query({}, options);
+    }
+
+    async count() {
+        return this.Model.countDocuments();
+    }
+
+    async findOne(filter) {
+        return this.Model.findOne(filter);
+    }
+
+    async findById(id) {
+        if (!this.isValidId(id)) return null;
+        return this.Model.findById(id);
+    }
+
+    async storeBinaries(id, data, existing) {
+        if (!this.blobStore) return data;
+        return storeBinaries(this.blobStore, {
+            prefix: this.name,
+            id: id,
+            fields: this.binaryFields,
+            data: data,
+            existing: existing
+        });
+    }
+
+    // Describe one of a record's files (e.g. 'pdfFile') for streaming,
+    // or one of its resized variants when `variantName` is given
+    async openBinary(record, field, variantName) {
+        const file = record && record[field];
+        if (!file) return null;
+
+        if (file.blobKey && this.blobStore) {
+            return openBinary(this.blobStore, file, variantName);
+        }
+
+        // Legacy document with the bytes stored inline
+        const legacy = await this.Model.findById(record._id).select(`+${field}.data`);
+        const data = legacy && legacy[field] && legacy[field].data;
+        if (!data || !data.length) return null;
+
+        return {
+            size: data.length,
+            uploadedAt: legacy.updatedAt,
+            contentType: file.contentType || 'application/octet-stream',
+            filename: file.filename || '',
+            version: `${legacy._id}-${legacy.updatedAt ? legacy.updatedAt.getTime() : 0}`,
+            createReadStream: async (range = {}) => {
+                const end = range.end !== undefined ? range.end + 1 : data.length;
+                return Readable.from([data.subarray(range.start || 0, end)]);
+            }
+        };
+    }
+
+    async create(data) {
+        const record = new this.Model();
+        record.set(await this.storeBinaries(record._id, data));
+        return record.save();
+    }
+
+    // All of `records` or none of them: each record's files go to the blob
+    // store as it comes (an async iterable keeps only one record's bytes in
+    // memory at a time), then the documents are inserted in one transaction.
+    // Transactions need a replica set, which every Atlas cluster is.
+    async createMany(records) {
+        const docs = [];
+        try {
+            for await (const data of records) {
+                const record = new this.Model();
+                record.set(await this.storeBinaries(record._id, data));
+                docs.push(record);
+            }
+            await this.Model.db.transaction(session => this.Model.insertMany(docs, { session }));
+        } catch (err) {
+            if (this.blobStore) {
+                for (const record of docs) {
+                    await deleteBinaries(this.blobStore, this.binaryFields, record).catch(() => {});
+                }
+            }
+            throw err;
+        }
+        return docs;
+    }
+
+    async update(id, changes) {
+        if (!this.isValidId(id)) return null;
+
+        const touchesFiles = this.binaryFields.some(field => field in changes);
+        if (touchesFiles) {
+            const existing = await this.Model.findById(id);
+            if (!existing) return null;
+            changes = await this.storeBinaries(id, changes, existing);
+        }
+        return this.Model.findByIdAndUpdate(id, changes, { new: true });
+    }
+
+    async delete(id) {
+        if (!this.isValidId(id)) return null;
+
+        const removed = await this.Model.findByIdAndDelete(id);
+        if (removed && this.blobStore) {
+            await deleteBinaries(this.blobStore, this.binaryFields, removed);
+        }
+        return removed;
+    }
+}
+
+module.exports = MongoRepository;
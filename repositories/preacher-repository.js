@@ -0,0 +1,62 @@
+const MongoRepository = require('./mongo-repository');
+const MemoryRepository = require('./memory-repository');
+
+// ===== PREACHER REPOSITORY =====
+// Both adapters expose:
+//   list({ sort, limit }), findById(id), findBySlug(slug),
+//   findByName(name) - by name or one of its aliases, ignoring case,
+//   create(data), update(id, changes), delete(id)
+// A preacher's messages come from messages.browse({ preacherId }).
+
+const PREACHER_SORT = {
+    byName: { name: 1 }
+};
+
+// Names compared ignoring case, as in the local adapter
+const CASE_INSENSITIVE = { locale: 'en', strength: 2 };
+
+class MongoPreacherRepository extends MongoRepository {
+    constructor(Model, options = {}) {
+        super(Model, { name: 'preachers', binaryFields: ['photoFile'], ...options });
+    }
+
+    query(filter, options) {
+        return super.query(filter, options).collation(CASE_INSENSITIVE);
+    }
+
+    async findBySlug(slug) {
+        return this.findOne({ slug: String(slug || '').toLowerCase() });
+    }
+
+    async findByName(name) {
+        const needle = String(name || '').trim();
+        if (!needle) return null;
+        return this.Model.findOne({ $or: [{ name: needle }, { aliases: needle }] }).collation(CASE_INSENSITIVE);
+    }
+}
+
+class MemoryPreacherRepository extends MemoryRepository {
+    constructor(records, options = {}) {
+        super(records, { name: 'preachers', binaryFields: ['photoFile'], ...options });
+    }
+
+    async findBySlug(slug) {
+        const needle = String(slug || '').toLowerCase();
+        const [preacher] = this.query(preacher => preacher.slug === needle);
+        return preacher || null;
+    }
+
+    async findByName(name) {
+        const needle = String(name || '').trim().toLowerCase();
+        if (!needle) return null;
+        const [preacher] = this.query(preacher =>
+            [preacher.name, ...(preacher.aliases || [])].some(known => known.toLowerCase() === needle));
+        return preacher || null;
+    }
+}
+
+module.exports = {
+    PREACHER_SORT,
+    MongoPreacherRepository,
+    MemoryPreacherRepository
+};
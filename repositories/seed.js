@@ -0,0 +1,48 @@
+// ===== SAMPLE MESSAGES (TEMPORARY STORAGE) =====
+module.exports = {
+    messages: [
+        {
+            _id: '1',
+            title: 'The Power of Faith',
+            code: 'PF',
+            date: new Date('2023-10-15'),
+            author: 'Pastor John',
+            description: 'Exploring how faith can move mountains in our daily lives and strengthen our relationship with God.',
+            filePath: '/pdf/1',
+            featured: true
+        },
+        {
+            _id: '2', 
+            title: 'Divine Mercy',
+            code: 'MD',
+            date: new Date('2023-10-08'),
+            author: 'Pastor Mark',
+            description: 'Understanding God\'s infinite mercy and how it transforms our lives when we accept it.',
+            filePath: '/pdf/2',
+            featured: false
+        },
+        {
+            _id: '3',
+            title: 'Joy in Giving',
+            code: 'JPEG',
+            date: new Date('2023-10-01'),
+            author: 'Pastor Sarah',
+            description: 'Discovering the joy and blessings that come from a generous heart and giving spirit.',
+            filePath: '/pdf/3',
+            featured: false
+        },
+        {
+            _id: '4',
+            title: 'Hope in Trials',
+            code: 'HT',
+            date: new Date('2023-09-24'),
+            author: 'Pastor James',
+            description: 'Finding hope and strength in God during difficult times and trials.',
+            filePath: '',
+            featured: false
+        }
+    ],
+    events: [],
+    announcements: [],
+    users: [] // the first owner is created with `npm run create-owner`
+};
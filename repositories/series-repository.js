@@ -0,0 +1,41 @@
+const MongoRepository = require('./mongo-repository');
+const MemoryRepository = require('./memory-repository');
+
+// ===== SERIES REPOSITORY =====
+// Both adapters expose:
+//   list({ sort, limit }), findById(id), findBySlug(slug),
+//   create(data), update(id, changes), delete(id)
+// The messages in a series come from messages.listSeriesParts(id).
+
+const SERIES_SORT = {
+    newest: { startDate: -1, createdAt: -1 },
+    byTitle: { title: 1 }
+};
+
+class MongoSeriesRepository extends MongoRepository {
+    constructor(Model, options = {}) {
+        super(Model, { name: 'series', binaryFields: ['artworkFile'], ...options });
+    }
+
+    async findBySlug(slug) {
+        return this.findOne({ slug: String(slug || '').toLowerCase() });
+    }
+}
+
+class MemorySeriesRepository extends MemoryRepository {
+    constructor(records, options = {}) {
+        super(records, { name: 'series', binaryFields: ['artworkFile'], ...options });
+    }
+
+    async findBySlug(slug) {
+        const needle = String(slug || '').toLowerCase();
+        const [series] = this.query(series => series.slug === needle);
+        return series || null;
+    }
+}
+
+module.exports = {
+    SERIES_SORT,
+    MongoSeriesRepository,
+    MemorySeriesRepository
+};
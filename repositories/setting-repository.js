@@ -0,0 +1,78 @@
+const MongoRepository = require('./mongo-repository');
+const MemoryRepository = require('./memory-repository');
+
+// ===== SETTING REPOSITORY =====
+// Both adapters expose:
+//   get(key, fallback), set(key, value, updatedBy),
+//   findByKey(key), setFile(key, file, updatedBy)
+//
+// setFile() stores an image with the setting (see storage/binary-fields.js);
+// read it back with findByKey() and openBinary(setting, 'file').
+
+class MongoSettingRepository extends MongoRepository {
+    constructor(Model, options = {}) {
+        super(Model, { name: 'settings', binaryFields: ['file'], ...options });
+    }
+
+    async get(key, fallback) {
+        const setting = await this.findOne({ key: key });
+        return setting ? setting.value : fallback;
+    }
+
+    async findByKey(key) {
+        return this.findOne({ key: key });
+    }
+
+    async setFile(key, file, updatedBy = '') {
+        const setting = await this.findByKey(key);
+        if (setting) {
+            return this.update(setting._id, { file: file, updatedBy: updatedBy });
+        }
+        return this.create({ key: key, file: file, updatedBy: updatedBy });
+    }
+
+    async set(key, value, updatedBy = '') {
+        return this.Model.findOneAndUpdate(
+            { key: key },
+            { value: value, updatedBy: updatedBy },
+            { upsert: true, new: true }
+        );
+    }
+}
+
+class MemorySettingRepository extends MemoryRepository {
+    constructor(records, options = {}) {
+        super(records, { name: 'settings', binaryFields: ['file'], ...options });
+    }
+
+    async get(key, fallback) {
+        const [setting] = this.query(setting => setting.key === key);
+        return setting ? setting.value : fallback;
+    }
+
+    async findByKey(key) {
+        const [setting] = this.query(setting => setting.key === key);
+        return setting || null;
+    }
+
+    async setFile(key, file, updatedBy = '') {
+        const setting = await this.findByKey(key);
+        if (setting) {
+            return this.update(setting._id, { file: file, updatedBy: updatedBy });
+        }
+        return this.create({ key: key, file: file, updatedBy: updatedBy });
+    }
+
+    async set(key, value, updatedBy = '') {
+        const [setting] = this.query(setting => setting.key === key);
+        if (setting) {
+            return this.update(setting._id, { value: value, updatedBy: updatedBy });
+        }
+        return this.create({ key: key, value: value, updatedBy: updatedBy });
+    }
+}
+
+module.exports = {
+    MongoSettingRepository,
+    MemorySettingRepository
+};
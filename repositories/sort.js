@@ -0,0 +1,46 @@
+// ===== SORT HELPERS =====
+// Sort specs use the MongoDB shape ({ featured: -1, date: -1 }) so the same
+// spec can be handed to Mongo or applied to an in-memory array.
+
+function toComparable(value) {
+    if (value === null || value === undefined) return null;
+    if (value instanceof Date) return value.getTime();
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    if (typeof value === 'string' && !isNaN(Date.parse(value)) && /^\d{4}-\d{2}-\d{2}/.test(value)) {
+        return Date.parse(value);
+    }
+    return value;
+}
+
+function compareValues(a, b) {
+    const left = toComparable(a);
+    const right = toComparable(b);
+
+    // MongoDB orders missing values before everything else
+    if (left === null && right === null) return 0;
+    if (left === null) return -1;
+    if (right === null) return 1;
+
+    if (typeof left === 'string' && typeof right === 'string') {
+        return left.localeCompare(right, undefined, { sensitivity: 'base' });
+    }
+    if (left < right) return -1;
+    if (left > right) return 1;
+    return 0;
+}
+
+function compareBySpec(spec) {
+    const keys = Object.keys(spec || {});
+    return (a, b) => {
+        for (const key of keys) {
+            const result = compareValues(a[key], b[key]);
+            if (result !== 0) return result * spec[key];
+        }
+        return 0;
+    };
+}
+
+module.exports = {
+    compareValues,
+    compareBySpec
+};
@@ -0,0 +1,70 @@
+const MongoRepository = require('./mongo-repository');
+const MemoryRepository = require('./memory-repository');
+
+// ===== USER REPOSITORY =====
+// Both adapters expose:
+//   list({ sort, limit }), count(), findById(id), findByUsername(username),
+//   findByInviteToken(tokenHash), countActiveOwners(),
+//   create(data), update(id, changes), delete(id)
+
+const USER_SORT = {
+    byUsername: { username: 1 }
+};
+
+// Lowercase letters, numbers, dots, dashes and underscores
+const USERNAME_PATTERN = /^[a-z0-9._-]{3,32}$/;
+
+function normalizeUsername(username) {
+    return String(username || '').trim().toLowerCase();
+}
+
+class MongoUserRepository extends MongoRepository {
+    constructor(Model, options = {}) {
+        super(Model, { name: 'users', ...options });
+    }
+
+    async findByUsername(username) {
+        return this.findOne({ username: normalizeUsername(username) });
+    }
+
+    async findByInviteToken(tokenHash) {
+        return this.findOne({ 'invite.tokenHash': tokenHash });
+    }
+
+    async countActiveOwners() {
+        return this.Model.countDocuments({ role: 'owner', status: 'active' });
+    }
+}
+
+class MemoryUserRepository extends MemoryRepository {
+    constructor(records, options = {}) {
+        super(records, { name: 'users', ...options });
+    }
+
+    async create(data) {
+        return super.create({ ...data, username: normalizeUsername(data.username) });
+    }
+
+    async findByUsername(username) {
+        const needle = normalizeUsername(username);
+        const [user] = this.query(user => user.username === needle);
+        return user || null;
+    }
+
+    async findByInviteToken(tokenHash) {
+        const [user] = this.query(user => user.invite && user.invite.tokenHash === tokenHash);
+        return user || null;
+    }
+
+    async countActiveOwners() {
+        return this.query(user => user.role === 'owner' && user.status === 'active').length;
+    }
+}
+
+module.exports = {
+    USER_SORT,
+    USERNAME_PATTERN,
+    normalizeUsername,
+    MongoUserRepository,
+    MemoryUserRepository
+};
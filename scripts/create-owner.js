@@ -0,0 +1,146 @@
+// ===== CREATE OWNER (FIRST RUN) =====
+// Creates the first owner account, who can then invite everyone else from
+// /admin-users. Refuses to run once an active owner exists.
+//
+// Usage:
+//   npm run create-owner
+//   npm run create-owner -- --username=pastor --name="Pastor John" --email=john@example.com
+// The password is prompted for, or read from OWNER_PASSWORD when set.
+//
+// With a MONGO_URI the server would connect to (see lib/mongo-uri.js) the
+// account goes into MongoDB, otherwise into local storage under DATA_DIR
+// (synced to MongoDB later, like other offline content).
+const path = require('path');
+const readline = require('readline');
+const rootDir = path.join(__dirname, '..');
+require('dotenv').config({ path: path.join(rootDir, '.env') });
+
+const mongoose = require('mongoose');
+const models = require('../models');
+const seed = require('../repositories/seed');
+const { createRepositories } = require('../repositories');
+const { USERNAME_PATTERN, normalizeUsername } = require('../repositories/user-repository');
+const SyncJournal = require('../sync/journal');
+const { hashPassword, passwordProblem } = require('../lib/passwords');
+const { mongoUri } = require('../lib/mongo-uri');
+
+const MONGODB_URI = mongoUri();
+const DATA_DIR = process.env.DATA_DIR || path.join(rootDir, 'data');
+
+// --name=value flags
+function parseFlags(args) {
+    const flags = {};
+    for (const arg of args) {
+        const match = arg.match(/^--([\w-]+)=(.*)$/);
+        if (match) {
+            flags[match[1]] = match[2];
+        }
+    }
+    return flags;
+}
+
+// Line-by-line prompts; works with a terminal or piped input
+function createPrompt() {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    const lines = rl[Symbol.asyncIterator]();
+
+    async function ask(question, { hidden = false } = {}) {
+        process.stdout.write(question);
+        const writeToOutput = rl._writeToOutput;
+        if (hidden) {
+            // Don't echo the password as it is typed
+            rl._writeToOutput = () => {};
+        }
+        try {
+            const { value, done } = await lines.next();
+            if (done) {
+                throw new Error('Input ended before all answers were given');
+            }
+            return value.trim();
+        } finally {
+            if (hidden) {
+                rl._writeToOutput = writeToOutput;
+                process.stdout.write('\n');
+            }
+        }
+    }
+
+    return { ask: ask, close: () => rl.close() };
+}
+
+async function main(args) {
+    const flags = parseFlags(args);
+
+    if (MONGODB_URI) {
+        try {
+            await mongoose.connect(MONGODB_URI, { serverSelectionTimeoutMS: 10000 });
+        } catch (err) {
+            throw new Error(`Could not connect to MongoDB (${err.message}). Fix MONGO_URI, or remove it to create the owner in local storage.`);
+        }
+        console.log('✅ Connected to MongoDB');
+    } else {
+        console.log(`💾 MONGO_URI not set (or not mongodb+srv://) - creating the owner in local storage (${DATA_DIR})`);
+    }
+
+    const repositories = createRepositories({
+        connection: mongoose.connection,
+        models: models,
+        seed: seed,
+        dataDir: DATA_DIR,
+        journal: new SyncJournal(DATA_DIR)
+    });
+    const users = repositories.users;
+
+    if ((await users.countActiveOwners()) > 0) {
+        throw new Error('An owner account already exists - log in and invite other users from /admin-users');
+    }
+
+    const prompt = createPrompt();
+    try {
+        const username = normalizeUsername(flags.username || await prompt.ask('Username: '));
+        if (!USERNAME_PATTERN.test(username)) {
+            throw new Error('Usernames are 3-32 characters: letters, numbers, dots, dashes or underscores');
+        }
+        if (await users.findByUsername(username)) {
+            throw new Error(`The username "${username}" is already taken`);
+        }
+
+        const name = flags.name !== undefined ? flags.name : await prompt.ask('Full name (optional): ');
+        const email = flags.email !== undefined ? flags.email : await prompt.ask('Email (optional): ');
+
+        let password = process.env.OWNER_PASSWORD;
+        let confirmation = password;
+        if (!password) {
+            password = await prompt.ask('Password: ', { hidden: true });
+            confirmation = await prompt.ask('Confirm password: ', { hidden: true });
+        }
+        const problem = passwordProblem(password, confirmation);
+        if (problem) {
+            throw new Error(problem);
+        }
+
+        await users.create({
+            username: username,
+            name: name,
+            email: email,
+            role: 'owner',
+            status: 'active',
+            passwordHash: await hashPassword(password)
+        });
+    } finally {
+        prompt.close();
+    }
+
+    console.log(`🎉 Owner account created in ${repositories.isConnected() ? 'MongoDB' : 'local storage'}`);
+    if (!repositories.isConnected()) {
+        console.log('💡 Restart the server if it is already running so it sees the new account');
+    }
+    console.log('🔐 Log in at /admin-login');
+}
+
+main(process.argv.slice(2))
+    .catch(err => {
+        console.log('❌ Could not create owner:', err.message);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
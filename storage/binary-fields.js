@@ -0,0 +1,142 @@
+// ===== BINARY FIELD HELPERS =====
+// Records keep file metadata in fields shaped like
+//   { blobKey, contentType, filename, size, variants? }
+// while the bytes live in a blob store. Incoming data from multer still has
+// the bytes in `data`, or in a temporary file at `path` for large uploads
+// (see lib/upload-storage.js); these helpers move them across. Images may also carry
+// resized `variants` ({ name, width, height, blobKey, ... }), each stored
+// under its own key next to the original.
+
+// A new file to store: bytes in `data` or a temporary file at `path`
+function isUpload(file) {
+    return Boolean(file && (Buffer.isBuffer(file.data) || typeof file.path === 'string'));
+}
+
+function blobKeyFor(prefix, id, field) {
+    // A fresh key per upload, so a replaced file never reuses an old key
+    return `${prefix}/${id}-${field}-${Date.now()}`;
+}
+
+// Move file bytes out of `data` into the blob store, leaving a blobKey.
+// Replaced or removed files are deleted from the store once every new one
+// is in; if one fails, those already stored are deleted again.
+async function storeBinaries(blobStore, { prefix, id, fields, data, existing }) {
+    const stored = { ...data };
+    const keys = [];
+    const replaced = [];
+
+    try {
+        for (const field of fields) {
+            if (!(field in data)) continue;
+
+            const file = data[field];
+            const previous = existing && existing[field];
+
+            if (isUpload(file)) {
+                const key = blobKeyFor(prefix, id, field);
+                const { data: bytes, path: filePath, ...meta } = file;
+                if (bytes) {
+                    await blobStore.put(key, bytes, { contentType: file.contentType, filename: file.filename });
+                } else {
+                    await blobStore.putFile(key, filePath, { contentType: file.contentType, filename: file.filename });
+                }
+                keys.push(key);
+                stored[field] = { ...meta, size: bytes ? bytes.length : file.size, blobKey: key };
+
+                if (file.variants) {
+                    stored[field].variants = [];
+                    for (const variant of file.variants) {
+                        const variantKey = `${key}-${variant.name}`;
+                        await blobStore.put(variantKey, variant.data, { contentType: variant.contentType, filename: file.filename });
+                        keys.push(variantKey);
+
+                        const { data: variantBytes, ...variantMeta } = variant;
+                        stored[field].variants.push({ ...variantMeta, size: variantBytes.length, blobKey: variantKey });
+                    }
+                }
+            }
+
+            if (previous && (!file || isUpload(file))) {
+                replaced.push(previous);
+            }
+        }
+    } catch (err) {
+        for (const key of keys) {
+            await blobStore.delete(key).catch(() => {});
+        }
+        throw err;
+    }
+
+    for (const previous of replaced) {
+        await deleteFile(blobStore, previous);
+    }
+    return stored;
+}
+
+async function deleteFile(blobStore, file) {
+    if (file.blobKey) {
+        await blobStore.delete(file.blobKey);
+    }
+    for (const variant of file.variants || []) {
+        if (variant.blobKey) {
+            await blobStore.delete(variant.blobKey);
+        }
+    }
+}
+
+// Read file bytes back into `data` (used when copying a record elsewhere)
+async function loadBinaries(blobStore, fields, record) {
+    for (const field of fields) {
+        const file = record[field];
+        if (file && file.blobKey) {
+            record[field] = { ...file, data: await blobStore.get(file.blobKey) };
+        }
+        if (file && file.variants) {
+            record[field].variants = [];
+            for (const variant of file.variants) {
+                const bytes = variant.blobKey && await blobStore.get(variant.blobKey);
+                if (bytes) {
+                    record[field].variants.push({ ...variant, data: bytes });
+                }
+            }
+        }
+    }
+    return record;
+}
+
+async function deleteBinaries(blobStore, fields, record) {
+    for (const field of fields) {
+        if (record[field]) {
+            await deleteFile(blobStore, record[field]);
+        }
+    }
+}
+
+// Describe a stored file for streaming; null when there is nothing to send.
+// The stream itself is only opened by createReadStream({ start, end }).
+// `variantName` picks one of the file's variants instead of the original.
+async function openBinary(blobStore, file, variantName) {
+    if (!file || !file.blobKey) return null;
+
+    const variant = variantName && (file.variants || []).find(item => item.name === variantName);
+    const source = variant || file;
+
+    const stat = await blobStore.stat(source.blobKey);
+    if (!stat) return null;
+
+    return {
+        size: stat.size,
+        uploadedAt: stat.uploadedAt,
+        contentType: source.contentType || stat.contentType || 'application/octet-stream',
+        filename: file.filename || '',
+        version: source.blobKey,
+        createReadStream: range => blobStore.openReadStream(source.blobKey, range)
+    };
+}
+
+module.exports = {
+    storeBinaries,
+    loadBinaries,
+    deleteBinaries,
+    openBinary
+};
@@ -0,0 +1,93 @@
+const fs = require('fs');
+const { pipeline } = require('stream/promises');
+const mongoose = require('mongoose');
+
+// ===== GRIDFS BLOB STORE =====
+// Keeps file bytes in MongoDB GridFS (the `blobs.files` / `blobs.chunks`
+// collections) instead of inside documents, so files are not bound by the
+// 16MB document limit and can be streamed in chunks. The blob key is stored
+// as the GridFS filename. Same interface as LocalBlobStore.
+class GridFsBlobStore {
+    constructor(connection, bucketName = 'blobs') {
+        this.connection = connection;
+        this.bucketName = bucketName;
+    }
+
+    // The bucket needs a live `db`, so it is created on first use
+    bucket() {
+        return new mongoose.mongo.GridFSBucket(this.connection.db, { bucketName: this.bucketName });
+    }
+
+    async findFile(key) {
+        const files = await this.bucket().find({ filename: key }).sort({ uploadDate: -1 }).limit(1).toArray();
+        return files[0] || null;
+    }
+
+    async put(key, buffer, meta = {}) {
+        await new Promise((resolve, reject) => {
+            const upload = this.bucket().openUploadStream(key, {
+                contentType: meta.contentType,
+                metadata: { filename: meta.filename }
+            });
+            upload.once('finish', resolve);
+            upload.once('error', reject);
+            upload.end(buffer);
+        });
+    }
+
+    // Stream a file in chunks rather than reading it into memory first
+    async putFile(key, filePath, meta = {}) {
+        const upload = this.bucket().openUploadStream(key, {
+            contentType: meta.contentType,
+            metadata: { filename: meta.filename }
+        });
+        await pipeline(fs.createReadStream(filePath), upload);
+    }
+
+    async get(key) {
+        const file = await this.findFile(key);
+        if (!file) return null;
+
+        const chunks = [];
+        for await (const chunk of this.bucket().openDownloadStream(file._id)) {
+            chunks.push(chunk);
+        }
+        return Buffer.concat(chunks);
+    }
+
+    async stat(key) {
+        const file = await this.findFile(key);
+        if (!file) return null;
+
+        return { size: file.length, uploadedAt: file.uploadDate, contentType: file.contentType };
+    }
+
+    async openReadStream(key, range = {}) {
+        const file = await this.findFile(key);
+        if (!file) {
+            throw new Error(`Blob not found: ${key}`);
+        }
+
+        const options = {};
+        if (range.start !== undefined) options.start = range.start;
+        // GridFS treats `end` as exclusive
+        if (range.end !== undefined) options.end = range.end + 1;
+        return this.bucket().openDownloadStream(file._id, options);
+    }
+
+    async ping() {
+        if (!this.connection.db) {
+            throw new Error('MongoDB not connected');
+        }
+        await this.bucket().find({}).limit(1).toArray();
+    }
+
+    async delete(key) {
+        const files = await this.bucket().find({ filename: key }).toArray();
+        for (const file of files) {
+            await this.bucket().delete(file._id);
+        }
+    }
+}
+
+module.exports = GridFsBlobStore;
@@ -0,0 +1,43 @@
+const fs = require('fs');
+const path = require('path');
+
+// ===== JSON COLLECTION FILE =====
+// One JSON array per collection (data/messages.json, ...). Writes go to a
+// temporary file first and are renamed into place so a crash mid-write can't
+// leave a half-written collection behind.
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d{3})?Z$/;
+
+function reviveDates(key, value) {
+    if (typeof value === 'string' && ISO_DATE.test(value)) {
+        return new Date(value);
+    }
+    return value;
+}
+
+class JsonCollection {
+    constructor(filePath) {
+        this.filePath = filePath;
+    }
+
+    exists() {
+        return fs.existsSync(this.filePath);
+    }
+
+    load() {
+        if (!this.exists()) return [];
+
+        const contents = fs.readFileSync(this.filePath, 'utf8');
+        return contents.trim() ? JSON.parse(contents, reviveDates) : [];
+    }
+
+    save(records) {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+        const tempPath = `${this.filePath}.${process.pid}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify(records, null, 2));
+        fs.renameSync(tempPath, this.filePath);
+    }
+}
+
+module.exports = JsonCollection;
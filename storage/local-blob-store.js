@@ -0,0 +1,79 @@
+const fs = require('fs');
+const path = require('path');
+
+// ===== LOCAL BLOB STORE =====
+// Stores file bytes (PDFs, images) as plain files under a directory, keyed by
+// strings such as "messages/1712345678901-pdfFile-1712345679000".
+//
+// Blob stores share one interface (see also GridFsBlobStore):
+//   put(key, buffer, { contentType, filename }), putFile(key, filePath, meta),
+//   get(key), delete(key),
+//   stat(key) -> { size, uploadedAt } | null,
+//   openReadStream(key, { start, end })   (end is inclusive),
+//   ping() -> resolves when the store can be written to
+class LocalBlobStore {
+    // The folder is made once here; ping() only looks, so a folder that
+    // goes missing later is reported instead of quietly made again
+    constructor(directory) {
+        this.directory = directory;
+        fs.mkdirSync(directory, { recursive: true });
+    }
+
+    pathFor(key) {
+        const filePath = path.resolve(this.directory, key);
+        if (!filePath.startsWith(path.resolve(this.directory) + path.sep)) {
+            throw new Error(`Invalid blob key: ${key}`);
+        }
+        return filePath;
+    }
+
+    async put(key, buffer) {
+        const filePath = this.pathFor(key);
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.promises.writeFile(filePath, buffer);
+    }
+
+    // Copy a file in (e.g. an upload multer wrote to a temporary file)
+    async putFile(key, sourcePath) {
+        const filePath = this.pathFor(key);
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.promises.copyFile(sourcePath, filePath);
+    }
+
+    async get(key) {
+        try {
+            return await fs.promises.readFile(this.pathFor(key));
+        } catch (err) {
+            if (err.code === 'ENOENT') return null;
+            throw err;
+        }
+    }
+
+    async stat(key) {
+        try {
+            const stats = await fs.promises.stat(this.pathFor(key));
+            return { size: stats.size, uploadedAt: stats.mtime };
+        } catch (err) {
+            if (err.code === 'ENOENT') return null;
+            throw err;
+        }
+    }
+
+    async openReadStream(key, range = {}) {
+        return fs.createReadStream(this.pathFor(key), { start: range.start, end: range.end });
+    }
+
+    async ping() {
+        await fs.promises.access(this.directory, fs.constants.R_OK | fs.constants.W_OK);
+    }
+
+    async delete(key) {
+        try {
+            await fs.promises.unlink(this.pathFor(key));
+        } catch (err) {
+            if (err.code !== 'ENOENT') throw err;
+        }
+    }
+}
+
+module.exports = LocalBlobStore;
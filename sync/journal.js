@@ -0,0 +1,100 @@
+const path = require('path');
+const JsonCollection = require('../storage/json-collection');
+
+// ===== SYNC JOURNAL =====
+// Remembers what was written to local storage while MongoDB was unavailable,
+// so it can be replayed once the connection returns.
+//
+//   pending  - [{ collection, localId, status: 'pending'|'conflict', ... }]
+//   idMap    - [{ collection, localId, remoteId, syncedAt }]
+//   reports  - the last MAX_REPORTS sync runs, newest first
+//
+// With a `dataDir` each list is kept in <dataDir>/sync-*.json.
+
+const MAX_REPORTS = 20;
+
+class SyncJournal {
+    constructor(dataDir) {
+        this.files = {};
+        for (const name of ['pending', 'idMap', 'reports']) {
+            this.files[name] = dataDir ? new JsonCollection(path.join(dataDir, `sync-${name}.json`)) : null;
+            this[name] = this.files[name] ? this.files[name].load() : [];
+        }
+    }
+
+    save(name) {
+        if (this.files[name]) {
+            this.files[name].save(this[name]);
+        }
+    }
+
+    find(collection, localId) {
+        return this.pending.find(entry => entry.collection === collection && entry.localId === String(localId));
+    }
+
+    recordCreate(collection, localId) {
+        if (this.find(collection, localId)) return;
+
+        this.pending.push({
+            collection: collection,
+            localId: String(localId),
+            status: 'pending',
+            createdAt: new Date()
+        });
+        this.save('pending');
+    }
+
+    recordDelete(collection, localId) {
+        const before = this.pending.length;
+        this.pending = this.pending.filter(entry =>
+            !(entry.collection === collection && entry.localId === String(localId))
+        );
+        if (this.pending.length !== before) {
+            this.save('pending');
+        }
+    }
+
+    markConflict(entry, reason, conflictId) {
+        Object.assign(entry, {
+            status: 'conflict',
+            reason: reason,
+            conflictId: conflictId ? String(conflictId) : null,
+            checkedAt: new Date()
+        });
+        this.save('pending');
+    }
+
+    // Admin chose to import a conflicting record anyway
+    markForced(collection, localId) {
+        const entry = this.find(collection, localId);
+        if (!entry) return null;
+
+        Object.assign(entry, { status: 'pending', force: true });
+        this.save('pending');
+        return entry;
+    }
+
+    recordSynced(collection, localId, remoteId) {
+        this.idMap.push({
+            collection: collection,
+            localId: String(localId),
+            remoteId: String(remoteId),
+            syncedAt: new Date()
+        });
+        this.save('idMap');
+    }
+
+    // Local ids are only unique within a collection
+    remoteIdFor(collection, localId) {
+        const mapping = this.idMap.find(entry => entry.collection === collection && entry.localId === String(localId));
+        return mapping ? mapping.remoteId : null;
+    }
+
+    addReport(report) {
+        this.reports.unshift(report);
+        this.reports = this.reports.slice(0, MAX_REPORTS);
+        this.save('reports');
+    }
+}
+
+module.exports = SyncJournal;
@@ -0,0 +1,165 @@
+// ===== SYNC SERVICE =====
+// Replays records created in local storage during a MongoDB outage into
+// MongoDB once the connection is back. Each record gets a new ObjectId (the
+// old local id is kept in the journal's idMap), and a record that looks like
+// one MongoDB already has is skipped as a conflict for an admin to review.
+
+// Fields that identify "the same" record across both stores
+const CONFLICT_KEYS = {
+    messages: record => ({ title: record.title, date: record.date }),
+    events: record => ({ title: record.title, date: record.date }),
+    announcements: record => ({ title: record.title, content: record.content }),
+    users: record => ({ username: record.username }),
+    series: record => ({ slug: record.slug }),
+    preachers: record => ({ slug: record.slug })
+};
+
+// Users and preachers have no title; show their username or name instead
+function titleOf(record) {
+    return record.title || record.username || record.name;
+}
+
+class SyncService {
+    constructor({ repositories, journal }) {
+        this.repositories = repositories;
+        this.journal = journal;
+        this.running = null;
+    }
+
+    // Run a sync whenever the MongoDB connection comes (back) up
+    watch(connection) {
+        const trigger = () => {
+            this.run().catch(err => console.log('❌ Sync failed:', err.message));
+        };
+        connection.on('connected', trigger);
+        connection.on('reconnected', trigger);
+    }
+
+    pendingEntries() {
+        return this.journal.pending.filter(entry => entry.status === 'pending');
+    }
+
+    conflictEntries() {
+        return this.journal.pending.filter(entry => entry.status === 'conflict');
+    }
+
+    // Entries with the local record's title, for the admin report page
+    describe(entries) {
+        return entries.map(entry => {
+            const [record] = this.repositories.local[entry.collection]
+                .query(item => String(item._id) === entry.localId);
+            return { ...entry, title: record ? titleOf(record) : '(deleted)' };
+        });
+    }
+
+    async run() {
+        if (!this.repositories.isConnected()) {
+            throw new Error('MongoDB not connected');
+        }
+        // Connection events can fire back to back; share one run
+        if (!this.running) {
+            this.running = this.replay().finally(() => { this.running = null; });
+        }
+        return this.running;
+    }
+
+    async replay() {
+        const report = {
+            startedAt: new Date(),
+            finishedAt: null,
+            merged: [],
+            skipped: [],
+            failed: []
+        };
+
+        const entries = this.pendingEntries();
+        if (entries.length > 0) {
+            console.log('🔄 Syncing', entries.length, 'offline records to MongoDB Atlas');
+        }
+
+        for (const entry of entries) {
+            await this.replayEntry(entry, report);
+        }
+
+        report.finishedAt = new Date();
+        if (entries.length > 0) {
+            this.journal.addReport(report);
+            console.log('✅ Sync complete:',
+                report.merged.length, 'merged,',
+                report.skipped.length, 'skipped,',
+                report.failed.length, 'failed'
+            );
+        }
+        return report;
+    }
+
+    async replayEntry(entry, report) {
+        const { collection, localId } = entry;
+        const local = this.repositories.local[collection];
+        const remote = this.repositories.mongo[collection];
+
+        const record = await local.findById(localId);
+        if (!record) {
+            // Deleted locally before it could be synced
+            this.journal.recordDelete(collection, localId);
+            return;
+        }
+
+        const summary = { collection: collection, localId: localId, title: titleOf(record) };
+
+        try {
+            if (!entry.force) {
+                const existing = await remote.findOne(CONFLICT_KEYS[collection](record));
+                if (existing) {
+                    const reason = `MongoDB already has a ${collection.slice(0, -1)} with the same details`;
+                    this.journal.markConflict(entry, reason, existing._id);
+                    report.skipped.push({ ...summary, reason: reason, conflictId: String(existing._id) });
+                    return;
+                }
+            }
+
+            // Copy the file bytes across from local blob storage
+            const { _id, ...data } = await local.loadBinaries(record);
+
+            // Point messages at their series' and preacher's new ids if they
+            // were synced first
+            if (collection === 'messages' && data.series) {
+                data.series = this.journal.remoteIdFor('series', data.series) || data.series;
+            }
+            if ((collection === 'messages' || collection === 'events') && data.preacher) {
+                data.preacher = this.journal.remoteIdFor('preachers', data.preacher) || data.preacher;
+            }
+            const created = await remote.create(data);
+
+            // Only one message can be featured at a time
+            if (collection === 'messages' && data.featured) {
+                await remote.setFeatured(created._id);
+            }
+
+            this.journal.recordSynced(collection, localId, created._id);
+            await local.delete(localId);
+            report.merged.push({ ...summary, remoteId: String(created._id) });
+        } catch (err) {
+            console.log('❌ Sync error for', collection, localId + ':', err.message);
+            report.failed.push({ ...summary, reason: err.message });
+        }
+    }
+
+    // Import a conflicting record even though MongoDB has a similar one
+    async force(collection, localId) {
+        if (!this.journal.markForced(collection, localId)) return null;
+        return this.run();
+    }
+
+    // Drop a conflicting record from local storage instead of importing it
+    async discard(collection, localId) {
+        const local = this.repositories.local[collection];
+        if (!local) return null;
+
+        const removed = await local.delete(localId);
+        this.journal.recordDelete(collection, localId);
+        return removed;
+    }
+}
+
+module.exports = SyncService;
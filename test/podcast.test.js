@@ -0,0 +1,146 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { XMLParser, XMLValidator } = require('fast-xml-parser');
+const { podcastSettings, buildFeed } = require('../lib/podcast');
+
+// ===== FIXTURES =====
+const SITE = 'https://church.example';
+
+const MESSAGES = [
+    {
+        _id: 'audio1',
+        title: 'Faith & "Works" <Part 1>',
+        description: "James 2 - it's not either/or\u0007",
+        author: 'Pastor O\'Neil & Guest',
+        date: new Date('2024-03-10T09:00:00Z'),
+        audioFile: { size: 1037913, contentType: 'audio/mpeg', duration: 3725.4 },
+        pdfFile: { size: 958 }
+    },
+    {
+        _id: 'pdf1',
+        title: 'Grace Notes',
+        description: 'Ephesians 2:8-9',
+        author: 'Pastor John',
+        date: new Date('2024-03-03T09:00:00Z'),
+        pdfFile: { size: 2048 }
+    },
+    {
+        _id: 'none1',
+        title: 'No files yet',
+        description: 'Nothing to download',
+        author: 'Pastor John',
+        date: new Date('2024-02-25T09:00:00Z')
+    }
+];
+
+function feedFor(messages, options = {}) {
+    const site = options.site || SITE;
+    return buildFeed({
+        channel: podcastSettings({ ownerName: 'Church Office', ownerEmail: 'office@church.example' }),
+        episodes: messages.map((message, index) => ({
+            message: message,
+            link: `${site}/messages/${message._id}`,
+            episode: options.serial ? index + 1 : undefined
+        })),
+        feedUrl: `${site}/podcast.xml`,
+        siteUrl: site,
+        link: `${site}/messages`,
+        artworkUrl: `${site}/podcast-artwork.jpg`,
+        serial: Boolean(options.serial)
+    });
+}
+
+const parser = new XMLParser({ ignoreAttributes: false, attributeNamePrefix: '@', parseTagValue: false, isArray: name => name === 'item' });
+
+function parseFeed(xml) {
+    assert.strictEqual(XMLValidator.validate(xml), true);
+    return parser.parse(xml).rss;
+}
+
+// ===== CHANNEL =====
+
+test('the feed is well-formed RSS 2.0 with the iTunes and Atom namespaces', () => {
+    const rss = parseFeed(feedFor(MESSAGES));
+    assert.strictEqual(rss['@version'], '2.0');
+    assert.strictEqual(rss['@xmlns:itunes'], 'http://www.itunes.com/dtds/podcast-1.0.dtd');
+    assert.strictEqual(rss['@xmlns:atom'], 'http://www.w3.org/2005/Atom');
+});
+
+test('the channel has the tags podcast directories require', () => {
+    const channel = parseFeed(feedFor(MESSAGES)).channel;
+    for (const tag of ['title', 'link', 'description', 'language', 'itunes:author', 'itunes:explicit', 'itunes:type']) {
+        assert.ok(channel[tag], `channel has <${tag}>`);
+    }
+    assert.strictEqual(channel['itunes:explicit'], 'false');
+    assert.strictEqual(channel['itunes:type'], 'episodic');
+    assert.strictEqual(channel['itunes:image']['@href'], `${SITE}/podcast-artwork.jpg`);
+    assert.strictEqual(channel['itunes:owner']['itunes:email'], 'office@church.example');
+    assert.strictEqual(channel['itunes:category']['@text'], 'Religion & Spirituality');
+    assert.strictEqual(channel['itunes:category']['itunes:category']['@text'], 'Christianity');
+    assert.strictEqual(channel['atom:link']['@rel'], 'self');
+    assert.strictEqual(channel['atom:link']['@href'], `${SITE}/podcast.xml`);
+});
+
+// ===== ITEMS =====
+
+test('every message with a file is an item with the required tags', () => {
+    const items = parseFeed(feedFor(MESSAGES)).channel.item;
+    assert.strictEqual(items.length, 2, 'the message without a file is left out');
+    for (const item of items) {
+        for (const tag of ['title', 'description', 'guid', 'pubDate', 'enclosure', 'itunes:author', 'itunes:episodeType']) {
+            assert.ok(item[tag] !== undefined, `item has <${tag}>`);
+        }
+        assert.ok(!isNaN(Date.parse(item.pubDate)), 'pubDate is an RFC 822 date');
+    }
+});
+
+test('each enclosure has a url, length and type', () => {
+    const [audio, pdf] = parseFeed(feedFor(MESSAGES)).channel.item;
+    assert.deepStrictEqual(
+        [audio.enclosure['@url'], audio.enclosure['@length'], audio.enclosure['@type']],
+        [`${SITE}/audio/audio1`, '1037913', 'audio/mpeg']
+    );
+    assert.strictEqual(audio['itunes:duration'], '3725');
+    assert.deepStrictEqual(
+        [pdf.enclosure['@url'], pdf.enclosure['@length'], pdf.enclosure['@type']],
+        [`${SITE}/pdf/pdf1`, '2048', 'application/pdf']
+    );
+});
+
+test('guids stay the same when the feed is rebuilt or a message changes', () => {
+    const guids = xml => parseFeed(xml).channel.item.map(item => item.guid['#text']);
+    const before = guids(feedFor(MESSAGES));
+    const edited = [{ ...MESSAGES[0], title: 'Renamed', date: new Date('2024-04-01T09:00:00Z') }, MESSAGES[1]];
+
+    assert.deepStrictEqual(before, ['message:audio1', 'message:pdf1']);
+    assert.deepStrictEqual(guids(feedFor(MESSAGES)), before);
+    assert.deepStrictEqual(guids(feedFor(edited)), before);
+    assert.strictEqual(parseFeed(feedFor(MESSAGES)).channel.item[0].guid['@isPermaLink'], 'false');
+});
+
+test('guids don\'t depend on the host the feed was fetched from', () => {
+    const guids = xml => parseFeed(xml).channel.item.map(item => item.guid['#text']);
+    const before = guids(feedFor(MESSAGES));
+    for (const site of ['http://church.example', 'https://www.church.example', 'http://localhost:3000']) {
+        const items = parseFeed(feedFor(MESSAGES, { site: site })).channel.item;
+        assert.ok(items[0].enclosure['@url'].startsWith(site), 'links still follow the host');
+        assert.deepStrictEqual(guids(feedFor(MESSAGES, { site: site })), before, site);
+    }
+});
+
+test('text is escaped and characters XML forbids are dropped', () => {
+    const xml = feedFor(MESSAGES);
+    assert.ok(xml.includes('<title>Faith &amp; &quot;Works&quot; &lt;Part 1&gt;</title>'));
+    assert.ok(!xml.includes('\u0007'));
+
+    const item = parseFeed(xml).channel.item[0];
+    assert.strictEqual(item.title, 'Faith & "Works" <Part 1>');
+    assert.strictEqual(item.description, "James 2 - it's not either/or");
+    assert.strictEqual(item['itunes:author'], "Pastor O'Neil & Guest");
+});
+
+test('a series feed is serial and numbers its episodes', () => {
+    const channel = parseFeed(feedFor(MESSAGES.slice(0, 2), { serial: true })).channel;
+    assert.strictEqual(channel['itunes:type'], 'serial');
+    assert.deepStrictEqual(channel.item.map(item => item['itunes:episode']), ['1', '2']);
+});
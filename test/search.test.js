@@ -0,0 +1,152 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseQuery, queryWords, rankMessages, highlight, highlightHtml } = require('../lib/search');
+const { searchWordsFilter, MemoryMessageRepository } = require('../repositories/message-repository');
+
+// ===== FIXTURES =====
+const MESSAGES = [
+    {
+        _id: 'grace',
+        title: 'Amazing Grace',
+        author: 'John Ade',
+        code: 'PF-101',
+        description: 'Saved through faith',
+        date: new Date('2024-03-10T09:00:00Z'),
+        pdfText: { pages: ['By grace you have been saved', 'not of works'] }
+    },
+    {
+        _id: 'pdf-only',
+        title: 'Sunday Service',
+        author: 'Mary Obi',
+        code: 'SS-7',
+        description: 'Morning message',
+        date: new Date('2024-05-05T09:00:00Z'),
+        pdfText: { pages: ['We are born again by grace alone'] }
+    },
+    {
+        _id: 'forgive',
+        title: 'Forgiveness',
+        author: 'John Ade',
+        code: 'PF-102',
+        description: 'Seventy times seven',
+        date: new Date('2023-11-12T09:00:00Z')
+    }
+];
+
+function ids(messages) {
+    return messages.map(message => message._id);
+}
+
+// ===== PARSING =====
+
+test('words are lowercased, stripped of accents and common words', () => {
+    const query = parseQuery('The Grâce of GOD');
+    assert.deepStrictEqual(query.terms, ['grace', 'god']);
+    assert.strictEqual(query.isEmpty, false);
+    assert.deepStrictEqual(parseQuery('the of').terms, ['the', 'of'], 'common words alone still count');
+});
+
+test('quoted phrases and filters are read apart from words', () => {
+    const query = parseQuery('"born again" author:"John Ade" code:pf series:faith-walk grace');
+    assert.deepStrictEqual(query.phrases, [['born', 'again']]);
+    assert.deepStrictEqual(query.terms, ['grace']);
+    assert.deepStrictEqual(query.filters, { author: 'John Ade', code: 'pf', series: 'faith-walk' });
+    assert.deepStrictEqual(queryWords(query), ['grace', 'born', 'again']);
+});
+
+test('dates become UTC ranges and bad ones are explained', () => {
+    const month = parseQuery('date:2024-02');
+    assert.strictEqual(month.filters.from.toISOString(), '2024-02-01T00:00:00.000Z');
+    assert.strictEqual(month.filters.to.toISOString(), '2024-03-01T00:00:00.000Z');
+
+    const range = parseQuery('from:2024-01-01 to:2024-12-31');
+    assert.strictEqual(range.filters.to.toISOString(), '2025-01-01T00:00:00.000Z');
+
+    const bad = parseQuery('date:2024-02-31 grace');
+    assert.strictEqual(bad.filters.from, undefined);
+    assert.strictEqual(bad.problems.length, 1);
+});
+
+test('unknown key:value pairs are plain words', () => {
+    assert.deepStrictEqual(parseQuery('John 3:16').terms, ['john', '3', '16']);
+    assert.strictEqual(parseQuery('').isEmpty, true);
+});
+
+// ===== RANKING =====
+
+test('a word in the title ranks above the same word in the PDF', () => {
+    assert.deepStrictEqual(ids(rankMessages(MESSAGES, parseQuery('grace'))), ['grace', 'pdf-only']);
+});
+
+test('the start of a word matches, and every word must be found', () => {
+    assert.deepStrictEqual(ids(rankMessages(MESSAGES, parseQuery('grac'))), ['grace', 'pdf-only']);
+    assert.deepStrictEqual(ids(rankMessages(MESSAGES, parseQuery('forgiv'))), ['forgive']);
+    assert.deepStrictEqual(ids(rankMessages(MESSAGES, parseQuery('grace works'))), ['grace']);
+    assert.deepStrictEqual(ids(rankMessages(MESSAGES, parseQuery('gr'))), [], 'too short to be a prefix');
+});
+
+test('phrases must appear in order', () => {
+    assert.deepStrictEqual(ids(rankMessages(MESSAGES, parseQuery('"born again"'))), ['pdf-only']);
+    assert.deepStrictEqual(ids(rankMessages(MESSAGES, parseQuery('"again born"'))), []);
+});
+
+test('filters alone list what they let through, newest first', () => {
+    assert.deepStrictEqual(ids(rankMessages(MESSAGES, parseQuery('author:ade'))), ['grace', 'forgive']);
+    assert.deepStrictEqual(ids(rankMessages(MESSAGES, parseQuery('code:pf date:2023'))), ['forgive']);
+});
+
+// ===== BOTH ADAPTERS =====
+
+// What MongoDB would find with searchWordsFilter(): each $regex of an $or
+// tried on the field (or on every PDF page)
+function mongoMatches(message, filter) {
+    return filter.$and.every(clause => clause.$or.some(condition => {
+        const [field, { $regex, $options }] = Object.entries(condition)[0];
+        const pattern = new RegExp($regex, $options);
+        const value = field === 'pdfText.pages' ? (message.pdfText && message.pdfText.pages) || [] : [message[field]];
+        return value.some(text => pattern.test(String(text || '')));
+    }));
+}
+
+test('MongoDB finds what the local search finds, starts of words included', async () => {
+    const repository = new MemoryMessageRepository(MESSAGES.map(message => ({ ...message })));
+    for (const text of ['grac', 'grace works', 'forgiv', '"born again"', 'seven', 'gra.e']) {
+        const query = parseQuery(text);
+        const local = ids(rankMessages(await repository.search(query), query));
+        const candidates = MESSAGES.filter(message => mongoMatches(message, searchWordsFilter(queryWords(query))));
+        assert.deepStrictEqual(ids(rankMessages(candidates, query)), local, text);
+    }
+});
+
+test('public searches leave out drafts and scheduled messages', async () => {
+    const repository = new MemoryMessageRepository([
+        { ...MESSAGES[0], _id: 'draft', status: 'draft' },
+        { ...MESSAGES[0], _id: 'later', publishAt: new Date(Date.now() + 60 * 60 * 1000) },
+        { ...MESSAGES[0], _id: 'live' }
+    ]);
+    assert.deepStrictEqual(ids(await repository.search(parseQuery('grace'), { published: true })), ['live']);
+    assert.strictEqual((await repository.search(parseQuery('grace'))).length, 3);
+});
+
+// ===== HIGHLIGHTING =====
+
+test('highlight marks where words and phrases start a word', () => {
+    assert.deepStrictEqual(highlight('Amazing Grace, disgrace', parseQuery('grac')), [
+        { text: 'Amazing ', match: false },
+        { text: 'Grac', match: true },
+        { text: 'e, disgrace', match: false }
+    ]);
+    assert.deepStrictEqual(
+        highlight('born  again', parseQuery('"born again"')),
+        [{ text: 'born  again', match: true }]
+    );
+});
+
+test('highlighted HTML escapes the text and what was typed', () => {
+    const query = parseQuery('<b>"quote"');
+    assert.strictEqual(
+        highlightHtml('<b>"quote" & more</b>', query),
+        '&lt;<span class="search-highlight">b</span>&gt;&quot;<span class="search-highlight">quote</span>&quot; &amp; more&lt;/<span class="search-highlight">b</span>&gt;'
+    );
+    assert.strictEqual(highlightHtml('Tom\'s <script>', parseQuery('tom')), '<span class="search-highlight">Tom</span>&#39;s &lt;script&gt;');
+});
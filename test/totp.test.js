@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { base32Encode, base32Decode, hotp, totp, verifyTotp, normalizeRecoveryCode } = require('../lib/totp');
+
+// ===== RFC VECTORS =====
+
+// RFC 4226 appendix D
+test('hotp matches the RFC 4226 test values', () => {
+    const secret = Buffer.from('12345678901234567890');
+    const expected = ['755224', '287082', '359152', '969429', '338314', '254676', '287922', '162583', '399871', '520489'];
+    expected.forEach((code, counter) => {
+        assert.strictEqual(hotp(secret, counter), code);
+    });
+});
+
+// RFC 6238 appendix B: the seed is repeated to the hash's key size
+const SEEDS = {
+    sha1: Buffer.from('12345678901234567890'),
+    sha256: Buffer.from('12345678901234567890123456789012'),
+    sha512: Buffer.from('1234567890123456789012345678901234567890123456789012345678901234')
+};
+const RFC_6238 = [
+    { seconds: 59, sha1: '94287082', sha256: '46119246', sha512: '90693936' },
+    { seconds: 1111111109, sha1: '07081804', sha256: '68084774', sha512: '25091201' },
+    { seconds: 1111111111, sha1: '14050471', sha256: '67062674', sha512: '99943326' },
+    { seconds: 1234567890, sha1: '89005924', sha256: '91819424', sha512: '93441116' },
+    { seconds: 2000000000, sha1: '69279037', sha256: '90698825', sha512: '38618901' },
+    { seconds: 20000000000, sha1: '65353130', sha256: '77737706', sha512: '47863826' }
+];
+
+for (const algorithm of Object.keys(SEEDS)) {
+    test(`totp matches the RFC 6238 test values for ${algorithm}`, () => {
+        for (const vector of RFC_6238) {
+            const code = totp(SEEDS[algorithm], { time: vector.seconds * 1000, digits: 8, algorithm: algorithm });
+            assert.strictEqual(code, vector[algorithm], `${algorithm} at ${vector.seconds}s`);
+        }
+    });
+}
+
+// ===== VERIFYING CODES =====
+const SECRET = base32Encode(SEEDS.sha1);
+const NOW = 1111111111 * 1000;
+const STEP = Math.floor(NOW / 1000 / 30);
+
+function codeAt(offsetSteps) {
+    return totp(SECRET, { time: NOW + offsetSteps * 30 * 1000 });
+}
+
+test('verifyTotp returns the time step of the current code', () => {
+    assert.strictEqual(verifyTotp(SECRET, codeAt(0), { time: NOW }), STEP);
+});
+
+test('verifyTotp accepts one step of clock drift either way', () => {
+    assert.strictEqual(verifyTotp(SECRET, codeAt(-1), { time: NOW }), STEP - 1);
+    assert.strictEqual(verifyTotp(SECRET, codeAt(1), { time: NOW }), STEP + 1);
+});
+
+test('verifyTotp refuses codes outside the drift window', () => {
+    assert.strictEqual(verifyTotp(SECRET, codeAt(-2), { time: NOW }), null);
+    assert.strictEqual(verifyTotp(SECRET, codeAt(2), { time: NOW }), null);
+    assert.strictEqual(verifyTotp(SECRET, codeAt(2), { time: NOW, window: 2 }), STEP + 2);
+});
+
+test('verifyTotp refuses a code whose step was already used', () => {
+    const step = verifyTotp(SECRET, codeAt(0), { time: NOW });
+    assert.strictEqual(verifyTotp(SECRET, codeAt(0), { time: NOW, after: step }), null);
+    // An older code in the window can't be replayed after a newer one either
+    assert.strictEqual(verifyTotp(SECRET, codeAt(-1), { time: NOW, after: step }), null);
+    assert.strictEqual(verifyTotp(SECRET, codeAt(1), { time: NOW, after: step }), STEP + 1);
+});
+
+test('verifyTotp ignores spaces and refuses malformed codes', () => {
+    const code = codeAt(0);
+    assert.strictEqual(verifyTotp(SECRET, `${code.slice(0, 3)} ${code.slice(3)}`, { time: NOW }), STEP);
+    assert.strictEqual(verifyTotp(SECRET, code.slice(1), { time: NOW }), null);
+    assert.strictEqual(verifyTotp(SECRET, 'abcdef', { time: NOW }), null);
+    assert.strictEqual(verifyTotp(SECRET, '', { time: NOW }), null);
+});
+
+// ===== ENCODING =====
+
+test('base32 round-trips and decodes the RFC 4648 examples', () => {
+    assert.strictEqual(base32Encode(Buffer.from('foobar')), 'MZXW6YTBOI');
+    assert.strictEqual(base32Decode('mzxw 6ytb-oi======').toString(), 'foobar');
+    assert.deepStrictEqual(base32Decode(base32Encode(SEEDS.sha512)), SEEDS.sha512);
+    assert.throws(() => base32Decode('MZ1W'), /Invalid base32 character/);
+});
+
+test('recovery codes are compared without dashes, spaces or case', () => {
+    assert.strictEqual(normalizeRecoveryCode(' K7DQ-9xwm 2hfp '), 'k7dq9xwm2hfp');
+});
@@ -0,0 +1,155 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const zlib = require('zlib');
+const { readZip } = require('../lib/zip');
+
+// ===== FIXTURES =====
+
+// A ZIP of `files` ({ name, data, deflate?, size?, flags?, method? }) built
+// in memory. `size` overrides the unzipped size the directory claims. CRCs
+// are left at 0: readZip() doesn't check them.
+function buildZip(files) {
+    const locals = [];
+    const directory = [];
+    let offset = 0;
+    for (const file of files) {
+        const name = Buffer.from(file.name, 'utf8');
+        const data = Buffer.from(file.data || '');
+        const body = file.deflate ? zlib.deflateRawSync(data) : data;
+        const method = file.method !== undefined ? file.method : file.deflate ? 8 : 0;
+        const flags = (file.flags || 0) | 0x800;
+        const size = file.size !== undefined ? file.size : data.length;
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(flags, 6);
+        local.writeUInt16LE(method, 8);
+        local.writeUInt32LE(body.length, 18);
+        local.writeUInt32LE(size, 22);
+        local.writeUInt16LE(name.length, 26);
+        locals.push(local, name, body);
+
+        const entry = Buffer.alloc(46);
+        entry.writeUInt32LE(0x02014b50, 0);
+        entry.writeUInt16LE(flags, 8);
+        entry.writeUInt16LE(method, 10);
+        entry.writeUInt32LE(body.length, 20);
+        entry.writeUInt32LE(size, 24);
+        entry.writeUInt16LE(name.length, 28);
+        entry.writeUInt32LE(offset, 42);
+        directory.push(entry, name);
+
+        offset += local.length + name.length + body.length;
+    }
+
+    const directoryBytes = Buffer.concat(directory);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(files.length, 8);
+    end.writeUInt16LE(files.length, 10);
+    end.writeUInt32LE(directoryBytes.length, 12);
+    end.writeUInt32LE(offset, 16);
+    return Buffer.concat([...locals, directoryBytes, end]);
+}
+
+function zipCode(fn) {
+    return err => err.code === 'BAD_ZIP' && fn(err.message);
+}
+
+const PDF = '%PDF-1.4\n' + 'sermon notes '.repeat(2000);
+
+// ===== DIRECTORY =====
+
+test('entries are listed from the central directory, without folders or OS junk', () => {
+    const entries = readZip(buildZip([
+        { name: 'sermons/', data: '' },
+        { name: 'sermons/grace.pdf', data: PDF, deflate: true },
+        { name: 'sermons\\notes.txt', data: 'plain' },
+        { name: 'Prédication.pdf', data: PDF },
+        { name: '__MACOSX/sermons/._grace.pdf', data: 'junk' },
+        { name: 'sermons/._notes.txt', data: 'junk' },
+        { name: 'sermons/.DS_Store', data: 'junk' },
+        { name: 'Thumbs.db', data: 'junk' }
+    ]));
+    assert.deepStrictEqual(entries.map(entry => entry.name), ['sermons/grace.pdf', 'sermons/notes.txt', 'Prédication.pdf']);
+    assert.deepStrictEqual(entries.map(entry => entry.size), [PDF.length, 5, PDF.length]);
+});
+
+test('stored and deflated entries read back whole', () => {
+    const [deflated, stored] = readZip(buildZip([
+        { name: 'a.pdf', data: PDF, deflate: true },
+        { name: 'b.txt', data: 'hello' }
+    ]));
+    assert.strictEqual(deflated.read().toString(), PDF);
+    assert.strictEqual(stored.read().toString(), 'hello');
+});
+
+test('anything but a ZIP is refused', () => {
+    assert.throws(() => readZip(Buffer.from('short')), zipCode(message => /not a ZIP/.test(message)));
+    assert.throws(() => readZip(Buffer.alloc(4096, 0x41)), zipCode(message => /not a ZIP/.test(message)));
+
+    const damaged = buildZip([{ name: 'a.txt', data: 'hello' }]);
+    damaged.writeUInt32LE(0, damaged.length - 22 - 46 - 'a.txt'.length);
+    assert.throws(() => readZip(damaged), zipCode(message => /central directory/.test(message)));
+});
+
+// ===== LIMITS =====
+
+test('too many files are refused before any is read', () => {
+    const files = Array.from({ length: 4 }, (_, index) => ({ name: `${index}.txt`, data: 'x' }));
+    assert.strictEqual(readZip(buildZip(files), { maxEntries: 4 }).length, 4);
+    assert.throws(() => readZip(buildZip(files), { maxEntries: 3 }), zipCode(message => /4 files; at most 3/.test(message)));
+});
+
+test('files adding up to more than maxTotalSize unzipped are refused', () => {
+    const archive = buildZip([
+        { name: 'a.pdf', data: PDF, deflate: true },
+        { name: 'b.pdf', data: PDF, deflate: true }
+    ]);
+    assert.strictEqual(readZip(archive, { maxTotalSize: PDF.length * 2 }).length, 2);
+    assert.throws(() => readZip(archive, { maxTotalSize: PDF.length * 2 - 1 }), zipCode(message => /add up to more than/.test(message)));
+});
+
+test('an entry bigger than maxEntrySize is refused when read', () => {
+    const [entry] = readZip(buildZip([{ name: 'a.pdf', data: PDF, deflate: true }]), { maxEntrySize: PDF.length - 1 });
+    assert.throws(() => entry.read(), zipCode(message => /"a.pdf" is too large/.test(message)));
+});
+
+test('a faked unzipped size stops inflating at the size claimed', () => {
+    // 1MB of zeros that the directory says is 10 bytes: it passes the size
+    // checks, but unzipping it stops at 10 bytes
+    const archive = buildZip([{ name: 'bomb.pdf', data: Buffer.alloc(1024 * 1024), deflate: true, size: 10 }]);
+    const [entry] = readZip(archive, { maxEntrySize: 100, maxTotalSize: 100 });
+    assert.strictEqual(entry.size, 10);
+    assert.throws(() => entry.read(), zipCode(message => /"bomb.pdf" could not be unzipped/.test(message)));
+});
+
+test('encrypted entries and unknown compression methods are refused when read', () => {
+    const [encrypted, unknown] = readZip(buildZip([
+        { name: 'secret.pdf', data: PDF, flags: 0x1 },
+        { name: 'bzip.pdf', data: PDF, method: 12 }
+    ]));
+    assert.throws(() => encrypted.read(), zipCode(message => /password-protected/.test(message)));
+    assert.throws(() => unknown.read(), zipCode(message => /compression method/.test(message)));
+    assert.throws(() => encrypted.peek(5), zipCode(message => /password-protected/.test(message)));
+});
+
+// ===== PEEK =====
+
+test('peek returns the first bytes without unzipping the rest', () => {
+    const big = '%PDF-1.7\n' + 'x'.repeat(5 * 1024 * 1024);
+    const [deflated, stored] = readZip(buildZip([
+        { name: 'big.pdf', data: big, deflate: true },
+        { name: 'small.pdf', data: PDF }
+    ]), { maxEntrySize: 1024 });
+
+    assert.strictEqual(deflated.peek(5).toString(), '%PDF-');
+    assert.strictEqual(stored.peek(8).toString(), '%PDF-1.4');
+    assert.throws(() => deflated.read(), zipCode(message => /too large/.test(message)));
+});
+
+test('peek reports an entry that is not deflate data', () => {
+    const archive = buildZip([{ name: 'broken.pdf', data: Buffer.from([0xff, 0xff, 0xff, 0xff]), method: 8 }]);
+    const [entry] = readZip(archive);
+    assert.throws(() => entry.peek(5), zipCode(message => /could not be unzipped/.test(message)));
+});